@@ -1,20 +1,45 @@
 // index.js (CommonJS) — Node.js >= 18 has global fetch by default
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const http = require("http");
+const EventEmitter = require("events");
 const readline = require("readline/promises");
+const { Writable } = require("stream");
+const { parseArgs } = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
 const { stdin: input, stdout: output } = require("process");
 
-const BASE_URL = "https://xage.app";
-const REFERER_APP = "https://xage.app/app";
-const REFERER_TRADEX = "https://xage.app/app/games/tradex";
-const REFERER_SITUATIONX = "https://xage.app/app/games/situationx";
-const CONFIG_PATH = path.join(__dirname, "config.json");
-const SITUATIONS_PATH = path.join(__dirname, "situation.json");
+// Environment overrides (used by the test suite to run against test/mock-server.js):
+//   XAGE_BASE_URL    API origin (default https://xage.app)
+//   XAGE_CONFIG      path of config.json
+//   XAGE_SITUATIONS  path of situation.json
+//   XAGE_SITUATION_TEMPLATES  path of situation-templates.json (situation generator)
+//   XAGE_TOKEN_TEMPLATES      path of token-templates.json (TradeX token metadata)
+//   XAGE_PASSPHRASE  passphrase of the encrypted cookie store (otherwise asked for)
+const BASE_URL = (process.env.XAGE_BASE_URL || "https://xage.app").replace(/\/+$/, "");
+const REFERER_APP = `${BASE_URL}/app`;
+const REFERER_TRADEX = `${BASE_URL}/app/games/tradex`;
+const REFERER_SITUATIONX = `${BASE_URL}/app/games/situationx`;
+const CONFIG_PATH = process.env.XAGE_CONFIG ? path.resolve(process.env.XAGE_CONFIG) : path.join(__dirname, "config.json");
+const SITUATIONS_PATH = process.env.XAGE_SITUATIONS ? path.resolve(process.env.XAGE_SITUATIONS) : path.join(__dirname, "situation.json");
+const TOKEN_TEMPLATES_PATH = process.env.XAGE_TOKEN_TEMPLATES
+  ? path.resolve(process.env.XAGE_TOKEN_TEMPLATES)
+  : path.join(__dirname, "token-templates.json");
+const SITUATION_TEMPLATES_PATH = process.env.XAGE_SITUATION_TEMPLATES
+  ? path.resolve(process.env.XAGE_SITUATION_TEMPLATES)
+  : path.join(__dirname, "situation-templates.json");
+const JOURNAL_PATH = path.join(path.dirname(CONFIG_PATH), "journal.jsonl");
+const HISTORY_PATH = path.join(path.dirname(CONFIG_PATH), "history.jsonl");
 
+// Defaults for the "settings" section of config.json (see DEFAULT_SETTINGS)
 // Task delay (12–15 seconds)
 const TASK_DELAY_MIN_MS = 12000;
 const TASK_DELAY_MAX_MS = 15000;
 
+// tasks --watch: re-check for new tasks every hour
+const TASK_WATCH_INTERVAL_MS = 3600000;
+
 // Delay between creations in a group (~3.5 min for SituationX, ~5 min for TradeX)
 const TRADEX_BETWEEN_CREATIONS_MIN_MS = 315000;
 const TRADEX_BETWEEN_CREATIONS_MAX_MS = 330000;
@@ -31,23 +56,235 @@ const TRADEX_CREATIONS_PER_GROUP = 2;
 // SituationX defaults: 3 creations per group
 const SITUATIONX_CREATIONS_PER_GROUP = 3;
 
+// Longest question / outcome accepted from situation.json
+const SITUATION_QUESTION_MAX_LENGTH = 200;
+const SITUATION_OUTCOME_MAX_LENGTH = 40;
+
+// What SituationX does once every situation has been posted: "stop" | "recycle" | "warn"
+const SITUATION_ON_EXHAUSTED = "warn";
+
+// Where SituationX questions come from: "file" (situation.json) | "generator" (templates) | "both"
+const SITUATION_SOURCE = "file";
+
 const TRADEX_DEFAULT_TTL_SECONDS = 300;
 const TRADEX_DEFAULT_SHOW_BALANCE_EACH_CYCLE = true;
 
-// Lootbox settings
-const LOOTBOX_INFO = {
-  1: { id: 1, name: "Bronze Box", price: 25, emoji: "🥉" },
-  2: { id: 2, name: "Silver Box", price: 60, emoji: "🥈" },
-  3: { id: 3, name: "Gold Box",   price: 150, emoji: "🥇" }
+// Token names/tickers: "random" letters, or "list" / "words" from token-templates.json
+const TRADEX_DEFAULT_GENERATOR = "random";
+
+// Lootbox delays: between opens on one account, and between accounts
+const LOOTBOX_BETWEEN_OPENS_MIN_MS = 8000;
+const LOOTBOX_BETWEEN_OPENS_MAX_MS = 14000;
+const LOOTBOX_BETWEEN_ACCOUNTS_MIN_MS = 5000;
+const LOOTBOX_BETWEEN_ACCOUNTS_MAX_MS = 10000;
+
+// Auto-open from the TradeX/SituationX loops (per game): box id (0 = off), balance threshold, reserve
+const AUTO_OPEN_DEFAULTS = { autoOpenBoxId: 0, autoOpenAbove: 0, autoOpenReserve: 0 };
+
+// Webhook notifications: which events to send, how many failed creations in a row count as
+// "failing", and the minimum time between two alerts for the same event and account
+const NOTIFY_DEFAULTS = {
+  cookieExpired: true,
+  jackpot: true,
+  creationFailures: true,
+  loopStopped: true,
+  failureThreshold: 3,
+  minIntervalMs: 15 * 60 * 1000,
 };
 
+// Status API (see the Status API section): port 0 = off; token "" = no Authorization needed
+const API_DEFAULTS = { port: 0, host: "127.0.0.1", token: "" };
+
+// Logging: see the Logging section. file "" = console only; maxFileBytes 0 = no size rotation
+const LOG_DEFAULTS = { level: "info", format: "text", file: "", maxFileBytes: 10 * 1024 * 1024, rotateDaily: false, maxFiles: 5 };
+
+// Lootbox strategy: "ask" prompts for game, box and once/repeat; anything else runs unattended
+const LOOTBOX_DEFAULT_GAME = "ask";
+
 // Retry on 429
 const RATE_LIMIT_MAX_RETRY = 3;
 const RATE_LIMIT_FALLBACK_WAIT_MS = 8000;
+const RATE_LIMIT_JITTER_MIN_MS = 500;
+const RATE_LIMIT_JITTER_MAX_MS = 1500;
 
 // How many times to re-prompt cookie if invalid/expired
 const AUTH_MAX_RETRY = 3;
 
+// Expired cookies: "prompt" asks on stdin, "suspend" parks the account until a new cookie
+// shows up in config.json, "auto" prompts when interactive and suspends with --yes
+const AUTH_ON_EXPIRED = "auto";
+const AUTH_RECHECK_INTERVAL_MS = 30000;
+
+const DEFAULT_SETTINGS = {
+  concurrency: {
+    accounts: 1,
+    maxRequestsPerSecond: 0,
+  },
+  auth: {
+    onExpired: AUTH_ON_EXPIRED,
+    recheckIntervalMs: AUTH_RECHECK_INTERVAL_MS,
+  },
+  retry: {
+    maxAttempts: RATE_LIMIT_MAX_RETRY,
+    fallbackWaitMs: RATE_LIMIT_FALLBACK_WAIT_MS,
+    jitterMinMs: RATE_LIMIT_JITTER_MIN_MS,
+    jitterMaxMs: RATE_LIMIT_JITTER_MAX_MS,
+    authMaxRefresh: AUTH_MAX_RETRY,
+  },
+  tasks: {
+    delayMinMs: TASK_DELAY_MIN_MS,
+    delayMaxMs: TASK_DELAY_MAX_MS,
+    // Filters: allow* lists that are not empty must match, deny* must not. Names are regexes.
+    allowTypes: [],
+    denyTypes: [],
+    allowIds: [],
+    denyIds: [],
+    allowNames: [],
+    denyNames: [],
+    watchIntervalMs: TASK_WATCH_INTERVAL_MS,
+  },
+  tradex: {
+    creationsPerGroup: TRADEX_CREATIONS_PER_GROUP,
+    betweenCreationsMinMs: TRADEX_BETWEEN_CREATIONS_MIN_MS,
+    betweenCreationsMaxMs: TRADEX_BETWEEN_CREATIONS_MAX_MS,
+    afterGroupMinMs: AFTER_GROUP_MIN_MS,
+    afterGroupMaxMs: AFTER_GROUP_MAX_MS,
+    ttlSeconds: TRADEX_DEFAULT_TTL_SECONDS,
+    showBalanceEachCycle: TRADEX_DEFAULT_SHOW_BALANCE_EACH_CYCLE,
+    generator: TRADEX_DEFAULT_GENERATOR,
+    ...AUTO_OPEN_DEFAULTS,
+  },
+  situationx: {
+    creationsPerGroup: SITUATIONX_CREATIONS_PER_GROUP,
+    betweenCreationsMinMs: SITUATIONX_BETWEEN_CREATIONS_MIN_MS,
+    betweenCreationsMaxMs: SITUATIONX_BETWEEN_CREATIONS_MAX_MS,
+    afterGroupMinMs: AFTER_GROUP_MIN_MS,
+    afterGroupMaxMs: AFTER_GROUP_MAX_MS,
+    showBalanceEachCycle: TRADEX_DEFAULT_SHOW_BALANCE_EACH_CYCLE,
+    questionMaxLength: SITUATION_QUESTION_MAX_LENGTH,
+    outcomeMaxLength: SITUATION_OUTCOME_MAX_LENGTH,
+    onExhausted: SITUATION_ON_EXHAUSTED,
+    source: SITUATION_SOURCE,
+    ...AUTO_OPEN_DEFAULTS,
+  },
+  lootbox: {
+    betweenOpensMinMs: LOOTBOX_BETWEEN_OPENS_MIN_MS,
+    betweenOpensMaxMs: LOOTBOX_BETWEEN_OPENS_MAX_MS,
+    betweenAccountsMinMs: LOOTBOX_BETWEEN_ACCOUNTS_MIN_MS,
+    betweenAccountsMaxMs: LOOTBOX_BETWEEN_ACCOUNTS_MAX_MS,
+    game: LOOTBOX_DEFAULT_GAME,
+    boxId: 0, // 0 = ask
+    maxOpens: 0, // 0 = no limit
+    maxSpend: 0, // XAGE-USDT, 0 = no limit
+    reserve: 0, // XAGE-USDT left untouched
+    stopAfterJackpot: false,
+  },
+  log: { ...LOG_DEFAULTS },
+  notify: { ...NOTIFY_DEFAULTS },
+  api: { ...API_DEFAULTS },
+};
+
+// Value kinds for each setting; "ms"/"count" and "int" are non-negative / positive integers,
+// "rate" is any number >= 0 (0 = unlimited), "list" is an array of strings ("patterns": regexes),
+// "path" is a file path ("" = none), "string" any text, "port" a TCP port (0 = off), an array
+// lists the allowed strings
+const SETTINGS_SCHEMA = {
+  concurrency: { accounts: "int", maxRequestsPerSecond: "rate" },
+  auth: { onExpired: ["auto", "prompt", "suspend"], recheckIntervalMs: "ms" },
+  retry: { maxAttempts: "int", fallbackWaitMs: "ms", jitterMinMs: "ms", jitterMaxMs: "ms", authMaxRefresh: "int" },
+  tasks: {
+    delayMinMs: "ms",
+    delayMaxMs: "ms",
+    allowTypes: "list",
+    denyTypes: "list",
+    allowIds: "list",
+    denyIds: "list",
+    allowNames: "patterns",
+    denyNames: "patterns",
+    watchIntervalMs: "ms",
+  },
+  tradex: {
+    creationsPerGroup: "int",
+    betweenCreationsMinMs: "ms",
+    betweenCreationsMaxMs: "ms",
+    afterGroupMinMs: "ms",
+    afterGroupMaxMs: "ms",
+    ttlSeconds: "int",
+    showBalanceEachCycle: "bool",
+    generator: ["random", "list", "words"],
+    autoOpenBoxId: "count",
+    autoOpenAbove: "rate",
+    autoOpenReserve: "rate",
+  },
+  situationx: {
+    creationsPerGroup: "int",
+    betweenCreationsMinMs: "ms",
+    betweenCreationsMaxMs: "ms",
+    afterGroupMinMs: "ms",
+    afterGroupMaxMs: "ms",
+    showBalanceEachCycle: "bool",
+    questionMaxLength: "int",
+    outcomeMaxLength: "int",
+    onExhausted: ["stop", "recycle", "warn"],
+    source: ["file", "generator", "both"],
+    autoOpenBoxId: "count",
+    autoOpenAbove: "rate",
+    autoOpenReserve: "rate",
+  },
+  lootbox: {
+    betweenOpensMinMs: "ms",
+    betweenOpensMaxMs: "ms",
+    betweenAccountsMinMs: "ms",
+    betweenAccountsMaxMs: "ms",
+    game: ["ask", "tradex", "situationx"],
+    boxId: "count",
+    maxOpens: "count",
+    maxSpend: "rate",
+    reserve: "rate",
+    stopAfterJackpot: "bool",
+  },
+  log: {
+    level: ["debug", "info", "warn", "error"],
+    format: ["text", "json"],
+    file: "path",
+    maxFileBytes: "count",
+    rotateDaily: "bool",
+    maxFiles: "int",
+  },
+  notify: {
+    cookieExpired: "bool",
+    jackpot: "bool",
+    creationFailures: "bool",
+    loopStopped: "bool",
+    failureThreshold: "int",
+    minIntervalMs: "ms",
+  },
+  api: { port: "port", host: "string", token: "string" },
+};
+
+// Sections (or "section.key") that only make sense for the whole run, not per account
+const GLOBAL_ONLY_SETTINGS = ["concurrency", "auth", "log", "notify", "api", "situationx.onExhausted", "situationx.source"];
+
+// min/max pairs that must satisfy min <= max once merged
+const SETTINGS_RANGES = [
+  ["retry", "jitterMinMs", "jitterMaxMs"],
+  ["tasks", "delayMinMs", "delayMaxMs"],
+  ["tradex", "betweenCreationsMinMs", "betweenCreationsMaxMs"],
+  ["tradex", "afterGroupMinMs", "afterGroupMaxMs"],
+  ["situationx", "betweenCreationsMinMs", "betweenCreationsMaxMs"],
+  ["situationx", "afterGroupMinMs", "afterGroupMaxMs"],
+  ["lootbox", "betweenOpensMinMs", "betweenOpensMaxMs"],
+  ["lootbox", "betweenAccountsMinMs", "betweenAccountsMaxMs"],
+];
+
+// Lootbox settings
+// Fallback when the lootboxes endpoint leaves out names or prices
+const LOOTBOX_INFO = {
+  1: { id: 1, name: "Bronze Box", price: 25, emoji: "🥉" },
+  2: { id: 2, name: "Silver Box", price: 60, emoji: "🥈" },
+  3: { id: 3, name: "Gold Box",   price: 150, emoji: "🥇" }
+};
+
 const C = {
   reset: "\x1b[0m",
   red: "\x1b[31m",
@@ -58,38 +295,212 @@ const C = {
   bold: "\x1b[1m",
 };
 
-const paint = (code, s) => `${code}${s}${C.reset}`;
+// ----- Logging -----
+// Every log line goes through writeLog(level, message). Levels: "debug" < "info" (logOk too) <
+// "warn" < "error"; lines below settings.log.level are dropped. Formats:
+//   "text" (default)  the classic coloured "[INFO]  message" lines
+//   "json"            one object per line: { ts, level, mode, account, msg } (plus ok: true for logOk)
+// settings.log.file also appends every line to a file (no colour; text lines get a timestamp,
+// mode and account). It is rotated to file.1, file.2, ... when it would grow past maxFileBytes
+// and, with rotateDaily, when the day changes; maxFiles old files are kept.
+// Colour is off when stdout is not a terminal or NO_COLOR is set. Tables, menus and reports are
+// command output rather than log lines and always print as text.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const logger = {
+  level: "info",
+  format: "text",
+  color: !!process.stdout.isTTY && !process.env.NO_COLOR,
+  mode: null, // current mode/command, e.g. "tradex"
+  file: null, // { path, maxBytes, rotateDaily, maxFiles, size, day }
+};
+
+const paint = (code, s) => (logger.color ? `${code}${s}${C.reset}` : String(s));
 const tag = (label, color) => paint(color, label.padEnd(7));
+const stripAnsi = (s) => String(s).replace(/\x1b\[[0-9;]*m/g, "");
+
+// Account context for log lines; when accounts run in parallel every line gets a "[label]" prefix
+const logContext = new AsyncLocalStorage();
+const withLogContext = (label, fn) => logContext.run({ label }, fn);
+const ctxPrefix = () => {
+  const ctx = logContext.getStore();
+  return ctx && runtime.tagAccounts ? paint(C.gray, `[${ctx.label}] `) : "";
+};
+
+const LEVEL_TAGS = {
+  debug: ["[DEBUG]", C.gray],
+  info: ["[INFO]", C.cyan],
+  ok: ["[OK]", C.green],
+  warn: ["[WARN]", C.yellow],
+  error: ["[ERR]", C.red],
+};
+
+// kind: a LEVEL_TAGS key; "plain" is an info line printed without a tag (account summaries)
+function writeLog(kind, s) {
+  const level = kind === "ok" || kind === "plain" ? "info" : kind;
+  const account = logContext.getStore()?.label ?? null;
+  const entry = { ts: new Date().toISOString(), level, mode: logger.mode, account, msg: stripAnsi(s) };
+  if ((level === "warn" || level === "error") && account) liveStatus(account).lastError = { ts: entry.ts, msg: entry.msg };
+  if (LOG_LEVELS[level] < LOG_LEVELS[logger.level]) return;
+  if (kind === "ok") entry.ok = true;
+
+  if (logger.format === "json") console.log(JSON.stringify(entry));
+  else if (kind === "plain") console.log(`${ctxPrefix()}${s}`);
+  else console.log(`${tag(...LEVEL_TAGS[kind])} ${ctxPrefix()}${s}`);
+  if (logger.file) {
+    const line = logger.format === "json"
+      ? JSON.stringify(entry)
+      : [entry.ts, LEVEL_TAGS[kind === "plain" ? "info" : kind][0].padEnd(7), entry.mode && `[${entry.mode}]`, account && `[${account}]`, entry.msg].filter(Boolean).join(" ");
+    appendLogFile(line);
+  }
+}
+
+function rotateLogFile(f) {
+  for (let n = f.maxFiles; n >= 1; n--) {
+    const from = n === 1 ? f.path : `${f.path}.${n - 1}`;
+    if (!fs.existsSync(from)) continue;
+    if (n === f.maxFiles && fs.existsSync(`${f.path}.${n}`)) fs.rmSync(`${f.path}.${n}`);
+    fs.renameSync(from, `${f.path}.${n}`);
+  }
+  f.size = 0;
+}
+
+function appendLogFile(line) {
+  const f = logger.file;
+  const today = new Date().toISOString().slice(0, 10);
+  const bytes = Buffer.byteLength(line) + 1;
+  try {
+    if (f.size > 0 && ((f.rotateDaily && f.day !== today) || (f.maxBytes > 0 && f.size + bytes > f.maxBytes))) {
+      rotateLogFile(f);
+    }
+    fs.appendFileSync(f.path, line + "\n", "utf8");
+    f.size += bytes;
+    f.day = today;
+  } catch (e) {
+    logger.file = null;
+    console.log(`${tag("[WARN]", C.yellow)} Log file disabled, could not write ${f.path}: ${e.message}`);
+  }
+}
+
+// Apply settings.log, with --log-level / --log-json / --log-file from the command line on top
+function configureLogging(settings, cli = {}) {
+  logger.level = cli.logLevel || settings.level;
+  logger.format = cli.logJson ? "json" : settings.format;
+  const file = cli.logFile ?? settings.file;
+  logger.file = null;
+  if (!file) return;
+  const filePath = path.resolve(path.dirname(CONFIG_PATH), file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let size = 0;
+  let day = null;
+  if (fs.existsSync(filePath)) {
+    const st = fs.statSync(filePath);
+    size = st.size;
+    day = st.mtime.toISOString().slice(0, 10);
+  }
+  logger.file = { path: filePath, maxBytes: settings.maxFileBytes, rotateDaily: settings.rotateDaily, maxFiles: settings.maxFiles, size, day };
+}
 
-const logInfo = (s) => console.log(`${tag("[INFO]", C.cyan)} ${s}`);
-const logOk   = (s) => console.log(`${tag("[OK]",   C.green)} ${s}`);
-const logWarn = (s) => console.log(`${tag("[WARN]", C.yellow)} ${s}`);
-const logErr  = (s) => console.log(`${tag("[ERR]",  C.red)} ${s}`);
+const logDebug = (s) => writeLog("debug", s);
+const logInfo = (s) => writeLog("info", s);
+const logOk   = (s) => writeLog("ok", s);
+const logWarn = (s) => writeLog("warn", s);
+const logErr  = (s) => writeLog("error", s);
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// Runtime switches set from the command line
+const runtime = {
+  interactive: true, // false with --yes: never block on stdin
+  dryRun: false, // --dry-run: GETs run, mutating requests are only logged (see requestJson)
+  speed: 1, // --speed: divide delays by this factor (dry runs only)
+  tagAccounts: false, // prefix log lines with the account label (parallel runs)
+};
+
+// Sleep that ends early when woken: wakeSleepers(state) resolves every sleep registered on state
+// (used for Ctrl+C and by the scheduler when a parallel job finishes). Waits for a pause to end
+// pass onResume, so wakeResumed(state) ends just those and leaves e.g. task delays running.
+function sleepOrWake(ms, state = null, { onResume = false } = {}) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      state?.wakers?.delete(done);
+      state?.resumeWakers?.delete(done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (state) {
+      if (!state.wakers) state.wakers = new Set();
+      state.wakers.add(done);
+      if (onResume) {
+        if (!state.resumeWakers) state.resumeWakers = new Set();
+        state.resumeWakers.add(done);
+      }
+    }
+  });
+}
+
+function wakeSleepers(state) {
+  for (const wake of [...(state.wakers || [])]) wake();
+}
+
+function wakeResumed(state) {
+  for (const wake of [...(state.resumeWakers || [])]) wake();
+}
+
+// Sleep ms, cut short only by a stop request (not by the other wake-ups, e.g. a finished job)
+async function sleepUnlessStopped(ms, state = null) {
+  const until = Date.now() + ms;
+  while (!state?.stopRequested && Date.now() < until) await sleepOrWake(until - Date.now(), state);
+}
+
+// Run fn over items with at most `limit` in flight
+async function runPool(items, limit, fn) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, queue.length)) }, async () => {
+    while (queue.length > 0) await fn(queue.shift());
+  });
+  await Promise.all(workers);
+}
+
+// Global request pacing: at most maxRequestsPerSecond requests start per second (0 = unlimited)
+const throttle = { intervalMs: 0, nextAt: 0 };
+
+function setRequestRate(maxRequestsPerSecond) {
+  throttle.intervalMs = maxRequestsPerSecond > 0 ? 1000 / maxRequestsPerSecond : 0;
+}
+
+async function throttleRequest() {
+  if (!throttle.intervalMs) return;
+  const now = Date.now();
+  const at = Math.max(now, throttle.nextAt);
+  throttle.nextAt = at + throttle.intervalMs;
+  if (at > now) await sleep(at - now);
+}
+
 function randInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
 // Interruptible sleep
-async function sleepRandom(minMs, maxMs, label = "Delay", state = null) {
-  const ms = randInt(minMs, maxMs);
+async function sleepRandom(minMs, maxMs, label = "Delay", state = null, options = {}) {
+  await sleepInterruptible(randInt(minMs, maxMs), label, state, options);
+}
+
+// Delays of the loops, shortened by --speed in a dry run
+function scaledDelay(ms) {
+  return runtime.speed > 1 ? Math.round(ms / runtime.speed) : ms;
+}
+
+// stopOnly: only a stop request ends the sleep early, not the scheduler's other wake-ups
+async function sleepInterruptible(ms, label = "Delay", state = null, { stopOnly = false } = {}) {
+  ms = scaledDelay(ms);
   logInfo(`${label}: ${ms / 1000}s${state ? " (interruptible)" : ""}`);
 
   if (state && state.stopRequested) return;
 
-  const chunk = 5000;
-  let remaining = ms;
-  while (remaining > 0) {
-    if (state && state.stopRequested) {
-      logWarn(`${label} interrupted by Ctrl+C!`);
-      return;
-    }
-    const sleepTime = Math.min(chunk, remaining);
-    await sleep(sleepTime);
-    remaining -= sleepTime;
-  }
+  await (stopOnly ? sleepUnlessStopped(ms, state) : sleepOrWake(ms, state));
+  if (state && state.stopRequested) logWarn(`${label} interrupted (${state.stopReason || "stop requested"})!`);
 }
 
 function readConfigIfExists() {
@@ -108,6 +519,94 @@ function atomicWriteJson(filePath, obj) {
   fs.renameSync(tmpPath, filePath);
 }
 
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function checkSettingValue(kind, value, where) {
+  const got = JSON.stringify(value);
+  if (Array.isArray(kind)) {
+    if (!kind.includes(value)) throw new Error(`config.json: ${where} must be one of ${kind.map((k) => `"${k}"`).join(", ")} (got ${got}).`);
+    return;
+  }
+  if (kind === "bool") {
+    if (typeof value !== "boolean") throw new Error(`config.json: ${where} must be true or false (got ${got}).`);
+    return;
+  }
+  if (kind === "list" || kind === "patterns") {
+    if (!Array.isArray(value) || !value.every((s) => typeof s === "string" && s.trim())) {
+      throw new Error(`config.json: ${where} must be a list of strings (got ${got}).`);
+    }
+    if (kind === "patterns") {
+      for (const p of value) {
+        try {
+          new RegExp(p, "i");
+        } catch (e) {
+          throw new Error(`config.json: ${where} has an invalid pattern ${JSON.stringify(p)}: ${e.message}`);
+        }
+      }
+    }
+    return;
+  }
+  if (kind === "path") {
+    if (typeof value !== "string") throw new Error(`config.json: ${where} must be a file path, or "" for none (got ${got}).`);
+    return;
+  }
+  if (kind === "string") {
+    if (typeof value !== "string") throw new Error(`config.json: ${where} must be a string (got ${got}).`);
+    return;
+  }
+  if (kind === "port") {
+    if (!Number.isInteger(value) || value < 0 || value > 65535) {
+      throw new Error(`config.json: ${where} must be a port number 1-65535, or 0 for off (got ${got}).`);
+    }
+    return;
+  }
+  if (kind === "rate") {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`config.json: ${where} must be a number >= 0 (got ${got}).`);
+    }
+    return;
+  }
+  const min = kind === "int" ? 1 : 0;
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`config.json: ${where} must be a whole number >= ${min}${kind === "ms" ? " (milliseconds)" : ""} (got ${got}).`);
+  }
+}
+
+// Validate a (possibly partial) settings object. Unknown keys are rejected to catch typos.
+function validateSettings(settings, where) {
+  if (!isPlainObject(settings)) throw new Error(`config.json: ${where} must be an object.`);
+  for (const [section, value] of Object.entries(settings)) {
+    const schema = SETTINGS_SCHEMA[section];
+    if (!schema) {
+      throw new Error(`config.json: unknown section ${where}.${section} (expected one of: ${Object.keys(SETTINGS_SCHEMA).join(", ")}).`);
+    }
+    if (!isPlainObject(value)) throw new Error(`config.json: ${where}.${section} must be an object.`);
+    for (const [key, v] of Object.entries(value)) {
+      if (!schema[key]) {
+        throw new Error(`config.json: unknown setting ${where}.${section}.${key} (expected one of: ${Object.keys(schema).join(", ")}).`);
+      }
+      checkSettingValue(schema[key], v, `${where}.${section}.${key}`);
+    }
+  }
+}
+
+function mergeSettings(base, override) {
+  const out = {};
+  for (const section of Object.keys(base)) {
+    out[section] = { ...base[section], ...(override?.[section] || {}) };
+  }
+  return out;
+}
+
+function checkSettingRanges(settings, where) {
+  for (const [section, minKey, maxKey] of SETTINGS_RANGES) {
+    const s = settings[section];
+    if (s[minKey] > s[maxKey]) {
+      throw new Error(`config.json: ${where}.${section}.${minKey} (${s[minKey]}) is greater than ${maxKey} (${s[maxKey]}).`);
+    }
+  }
+}
+
 function normalizeConfig(cfg) {
   const out = cfg && typeof cfg === "object" ? cfg : {};
   if (!Array.isArray(out.accounts)) out.accounts = [];
@@ -115,143 +614,933 @@ function normalizeConfig(cfg) {
     out.accounts.push({ label: "acc1", cookie: out.cookie.trim() });
     delete out.cookie;
   }
+
+  if (out.encryption !== undefined && !(isPlainObject(out.encryption) && out.encryption.salt && out.encryption.check)) {
+    throw new Error("config.json: encryption must be { kdf, salt, check } as written by \"accounts encrypt\".");
+  }
+
+  if (out.webhooks !== undefined) validateWebhooks(out.webhooks);
+
+  // cfg.settings (and config.json) keep only what the user set; defaults are merged in memory
+  if (out.settings !== undefined) validateSettings(out.settings, "settings");
+  const effective = mergeSettings(DEFAULT_SETTINGS, out.settings);
+  checkSettingRanges(effective, "settings");
+  Object.defineProperty(out, "effectiveSettings", { value: effective, enumerable: false, configurable: true });
+
   out.accounts = out.accounts
     .filter((a) => a && typeof a === "object")
-    .map((a, idx) => ({
-      label: (typeof a.label === "string" && a.label.trim()) ? a.label.trim() : `acc${idx + 1}`,
-      cookie: (typeof a.cookie === "string") ? a.cookie.trim() : "",
-    }));
+    .map((a, idx) => {
+      const acc = {
+        label: (typeof a.label === "string" && a.label.trim()) ? a.label.trim() : `acc${idx + 1}`,
+        cookie: (typeof a.cookie === "string") ? openCookie(a.cookie.trim(), `accounts[${idx}].cookie`) : "",
+      };
+      if (a.settings !== undefined) {
+        const where = `accounts[${idx}].settings`;
+        validateSettings(a.settings, where);
+        const globalOnly = GLOBAL_ONLY_SETTINGS.find((name) => {
+          const [section, key] = name.split(".");
+          return key ? isPlainObject(a.settings[section]) && key in a.settings[section] : section in a.settings;
+        });
+        if (globalOnly) throw new Error(`config.json: ${where}.${globalOnly} can only be set in the top-level settings.`);
+        checkSettingRanges(mergeSettings(effective, a.settings), where);
+        acc.settings = a.settings;
+      }
+      if (a.disabled !== undefined) {
+        if (typeof a.disabled !== "boolean") throw new Error(`config.json: accounts[${idx}].disabled must be true or false (got ${JSON.stringify(a.disabled)}).`);
+        if (a.disabled) acc.disabled = true;
+      }
+      if (isPlainObject(a.suspended)) acc.suspended = a.suspended;
+      if (isPlainObject(a.lastVerified)) acc.lastVerified = a.lastVerified;
+      return acc;
+    });
   return out;
 }
 
+// Effective settings: global settings, with the account's overrides applied when index is given
+function getSettings(cfg, index = null) {
+  const override = index === null ? null : cfg.accounts[index]?.settings;
+  return override ? mergeSettings(cfg.effectiveSettings, override) : cfg.effectiveSettings;
+}
+
+const configJson = (cfg) => (cfg.encryption ? sealConfig(cfg) : cfg);
+
+// A dry run leaves config.json alone (no migrations, suspensions or new cookies are kept)
 function saveConfig(cfg) {
-  atomicWriteJson(CONFIG_PATH, cfg);
+  if (runtime.dryRun) return;
+  pullSuspendedCookiesFromDisk(cfg);
+  atomicWriteJson(CONFIG_PATH, configJson(cfg));
 }
 
-function setAccountCookie(cfg, index, newCookie) {
-  cfg.accounts[index].cookie = (newCookie || "").trim();
-  saveConfig(cfg);
+// Write config.json at startup only when normalizeConfig changed something (a migrated field,
+// a missing label, a plain cookie to encrypt, ...). onDisk: JSON.stringify of the file as read.
+function saveConfigIfChanged(cfg, onDisk) {
+  if (JSON.stringify(configJson(cfg)) !== onDisk) saveConfig(cfg);
 }
 
-async function promptLine(question) {
-  const rl = readline.createInterface({ input, output });
+// ----- Encrypted cookie store -----
+// Optional. After `accounts encrypt` config.json holds
+//   "encryption": { "kdf": "scrypt", "salt": "<base64>", "check": "<sealed known value>" }
+// and every cookie as "enc:v1:<iv>:<tag>:<ciphertext>" (AES-256-GCM, key = scrypt(passphrase, salt)).
+// Cookies are decrypted in memory only. A plain cookie pasted into config.json is still
+// accepted and gets encrypted on the next save.
+const SEALED_PREFIX = "enc:v1:";
+const SEAL_CHECK = "xage-bot cookie store";
+const cookieStore = {
+  key: null,
+  sealed: new Map(), // cookie -> its sealed form, so unchanged cookies keep the same ciphertext
+};
+
+const isSealed = (value) => typeof value === "string" && value.startsWith(SEALED_PREFIX);
+
+function deriveStoreKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, "base64"), 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+function sealText(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return SEALED_PREFIX + [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(":");
+}
+
+function unsealText(key, value) {
+  const [iv, authTag, data] = value.slice(SEALED_PREFIX.length).split(":").map((p) => Buffer.from(p, "base64"));
   try {
-    return (await rl.question(question)).trim();
-  } finally {
-    rl.close();
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    const err = new Error("cannot be decrypted (wrong passphrase or damaged value).");
+    err.code = "DECRYPT";
+    throw err;
   }
 }
 
-async function promptYesNo(question, defaultYes = false) {
-  const suffix = defaultYes ? " [Y/n]: " : " [y/N]: ";
-  const ans = (await promptLine(question + suffix)).toLowerCase();
-  if (!ans) return defaultYes;
-  return ans === "y" || ans === "yes";
+// Plain cookie from a config.json cookie field (sealed or not)
+function openCookie(value, where) {
+  if (!isSealed(value)) return value;
+  if (!cookieStore.key) throw new Error(`config.json: ${where} is encrypted but no passphrase was given (set XAGE_PASSPHRASE).`);
+  try {
+    const cookie = unsealText(cookieStore.key, value);
+    cookieStore.sealed.set(cookie, value);
+    return cookie;
+  } catch (e) {
+    throw new Error(`config.json: ${where} ${e.message}`);
+  }
 }
 
-async function promptCookie(reason) {
-  if (reason) logWarn(reason);
-  return await promptLine("Enter full cookie string: ");
+function sealCookie(cookie) {
+  if (!cookie) return cookie;
+  if (!cookieStore.sealed.has(cookie)) cookieStore.sealed.set(cookie, sealText(cookieStore.key, cookie));
+  return cookieStore.sealed.get(cookie);
 }
 
-async function promptLabel(defaultLabel) {
-  const s = await promptLine(`Account label (default: ${defaultLabel}): `);
-  return s ? s : defaultLabel;
+// Copy of cfg as written to disk: cookies sealed
+function sealConfig(cfg) {
+  return { ...cfg, accounts: cfg.accounts.map((a) => ({ ...a, cookie: sealCookie(a.cookie) })) };
 }
 
-async function promptMenu() {
-  console.log("");
-  console.log(paint(C.bold, "Select mode:"));
-  console.log("1) Auto task completion");
-  console.log("2) TradeX game (Token creations)");
-  console.log("3) Open Lootboxes");
-  console.log("4) SituationX Games");
-  const ans = await promptLine("Enter choice (1/2/3/4): ");
-  if (ans === "1") return "TASKS";
-  if (ans === "2") return "TRADEX";
-  if (ans === "3") return "LOOTBOX";
-  if (ans === "4") return "SITUATIONX";
-  return null;
+async function promptPassphrase(question) {
+  if (process.env.XAGE_PASSPHRASE) return process.env.XAGE_PASSPHRASE;
+  return await promptSecret(question);
 }
 
-function makeHeaders(cookie, { extra = {}, referer = REFERER_APP } = {}) {
-  return {
-    accept: "*/*",
-    "accept-language": "en-US,en;q=0.5",
-    cookie,
-    Referer: referer,
-    ...extra,
-  };
+// Load the store key for an encrypted config.json (raw, as read from disk). No-op for plain configs.
+async function unlockCookieStore(raw) {
+  if (!raw?.encryption?.salt) return;
+  const passphrase = await promptPassphrase("Cookie store passphrase: ");
+  const key = deriveStoreKey(passphrase, raw.encryption.salt);
+  try {
+    unsealText(key, raw.encryption.check);
+  } catch {
+    throw new Error("Wrong passphrase for the encrypted cookies in config.json.");
+  }
+  cookieStore.key = key;
 }
 
-function parseRetryAfterMs(retryAfterValue) {
-  if (!retryAfterValue) return null;
-  const secs = Number(retryAfterValue);
-  if (!Number.isNaN(secs)) return Math.max(1000, Math.floor(secs * 1000));
-  const t = Date.parse(retryAfterValue);
-  if (!Number.isNaN(t)) return Math.max(1000, t - Date.now());
-  return null;
+// Start encrypting cookies with a new passphrase (also used to change it)
+function enableCookieEncryption(cfg, passphrase) {
+  const salt = crypto.randomBytes(16).toString("base64");
+  cookieStore.key = deriveStoreKey(passphrase, salt);
+  cookieStore.sealed.clear();
+  cfg.encryption = { kdf: "scrypt", salt, check: sealText(cookieStore.key, SEAL_CHECK) };
+  saveConfig(cfg);
 }
 
-function looksLikeAuthProblem(resStatus, json, text) {
-  if (resStatus === 401 || resStatus === 403) return true;
-  const msg = (
-    (json && (json.message || json.error)) ||
-    (typeof text === "string" ? text : "")
-  ).toString();
-  return /unauth|unauthoriz|forbidden|expired|cookie|login|session/i.test(msg);
+function disableCookieEncryption(cfg) {
+  delete cfg.encryption;
+  cookieStore.key = null;
+  cookieStore.sealed.clear();
+  saveConfig(cfg);
 }
 
-async function requestJson(url, { method = "GET", headers = {}, body = null } = {}) {
-  const res = await fetch(url, { method, headers, body });
-  const text = await res.text();
+// ----- Notifications -----
+// config.json can list webhooks that hear about events nobody would otherwise notice:
+//   "webhooks": [{ "type": "generic" | "discord" | "telegram", "url", "botToken", "chatId", "headers", "events" }]
+//   generic   POST url with { event, title, account, message, text, ts, details }
+//   discord   POST url (a Discord channel webhook) with { content }
+//   telegram  POST https://api.telegram.org/bot<botToken>/sendMessage (or url) with { chat_id, text }
+// "events" limits a webhook to some of NOTIFY_EVENTS; settings.notify switches events off for all
+// of them. The same event for the same account goes out at most once per
+// settings.notify.minIntervalMs; the next one that is sent says how many were held back.
+const NOTIFY_EVENTS = {
+  cookieExpired: "Cookie expired",
+  jackpot: "USDT jackpot",
+  creationFailures: "Creations failing",
+  loopStopped: "Loop stopped",
+};
+const WEBHOOK_TYPES = ["generic", "discord", "telegram"];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const TELEGRAM_API = "https://api.telegram.org";
 
-  if (res.status === 429) {
-    const ra = res.headers.get("retry-after");
-    const waitMs = parseRetryAfterMs(ra) ?? RATE_LIMIT_FALLBACK_WAIT_MS;
-    const err = new Error("HTTP 429: RATE_LIMIT");
-    err.code = "RATE_LIMIT";
-    err.waitMs = waitMs;
-    err.retryAfterRaw = ra;
-    throw err;
+const notifier = {
+  webhooks: [],
+  settings: null, // settings.notify
+  last: new Map(), // "event/account" -> { at, held }
+  pending: new Set(), // webhook deliveries in flight
+};
+
+function validateWebhooks(list) {
+  if (!Array.isArray(list)) throw new Error("config.json: webhooks must be a list.");
+  list.forEach((hook, i) => {
+    const where = `config.json: webhooks[${i}]`;
+    if (!isPlainObject(hook)) throw new Error(`${where} must be an object.`);
+    const type = hook.type ?? "generic";
+    if (!WEBHOOK_TYPES.includes(type)) throw new Error(`${where}.type must be one of ${WEBHOOK_TYPES.map((t) => `"${t}"`).join(", ")} (got ${JSON.stringify(hook.type)}).`);
+    const isUrl = (u) => typeof u === "string" && /^https?:\/\/\S+$/i.test(u);
+    if (hook.url !== undefined || type !== "telegram") {
+      if (!isUrl(hook.url)) throw new Error(`${where}.url must be an http(s) URL.`);
+    }
+    if (type === "telegram") {
+      if (typeof hook.chatId !== "string" && typeof hook.chatId !== "number") throw new Error(`${where}.chatId is required for telegram.`);
+      if (hook.url === undefined && !(typeof hook.botToken === "string" && hook.botToken.trim())) {
+        throw new Error(`${where}.botToken is required for telegram.`);
+      }
+    }
+    if (hook.headers !== undefined && !(isPlainObject(hook.headers) && Object.values(hook.headers).every((v) => typeof v === "string"))) {
+      throw new Error(`${where}.headers must be an object of strings.`);
+    }
+    if (hook.events !== undefined) {
+      const bad = Array.isArray(hook.events) ? hook.events.find((e) => !NOTIFY_EVENTS[e]) : hook.events;
+      if (bad !== undefined) {
+        throw new Error(`${where}.events must list events from: ${Object.keys(NOTIFY_EVENTS).join(", ")} (got ${JSON.stringify(bad)}).`);
+      }
+    }
+  });
+}
+
+function configureNotifications(cfg) {
+  notifier.webhooks = cfg.webhooks || [];
+  notifier.settings = getSettings(cfg).notify;
+}
+
+// URL and JSON body for one webhook
+function webhookRequest(hook, n) {
+  const type = hook.type ?? "generic";
+  if (type === "discord") return { url: hook.url, body: { content: `**Xage bot** — ${n.text}` } };
+  if (type === "telegram") {
+    return {
+      url: hook.url ?? `${TELEGRAM_API}/bot${hook.botToken}/sendMessage`,
+      body: { chat_id: hook.chatId, text: `Xage bot — ${n.text}` },
+    };
   }
+  return { url: hook.url, body: n };
+}
 
-  let json;
+async function sendWebhook(hook, { url, body }) {
+  const type = hook.type ?? "generic";
   try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    if (looksLikeAuthProblem(res.status, null, text)) {
-      const err = new Error(`AUTH: Cookie invalid/expired (HTTP ${res.status})`);
-      err.code = "AUTH";
-      err.status = res.status;
-      throw err;
-    }
-    throw new Error(`Response is not JSON. HTTP ${res.status}. Snippet: ${text.slice(0, 200)}`);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...hook.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!res.ok) logWarn(`${type} notification failed: HTTP ${res.status}`);
+  } catch (e) {
+    logWarn(`${type} notification failed: ${e.message}`);
   }
+}
 
-  if (!res.ok) {
-    const msg = (json && (json.message || json.error))
-      ? (json.message || json.error)
-      : text.slice(0, 200);
-    const err = new Error(`HTTP ${res.status}: ${msg}`);
-    if (looksLikeAuthProblem(res.status, json, text)) {
-      err.code = "AUTH";
-      err.status = res.status;
+// Send event (a NOTIFY_EVENTS key) to every webhook that wants it. Never throws, never waits:
+// flushNotifications() lets deliveries finish before the process ends.
+function notify(event, account, message, details = {}) {
+  const settings = notifier.settings;
+  if (!settings || !settings[event] || notifier.webhooks.length === 0) return;
+
+  const key = `${event}/${account ?? ""}`;
+  const now = Date.now();
+  const last = notifier.last.get(key);
+  if (last && now - last.at < settings.minIntervalMs) {
+    last.held++;
+    logDebug(`Notification "${event}" held back (sent one ${Math.round((now - last.at) / 1000)}s ago).`);
+    return;
+  }
+  const held = last?.held ?? 0;
+  notifier.last.set(key, { at: now, held: 0 });
+
+  const title = NOTIFY_EVENTS[event];
+  const text = `${title}${account ? ` (${account})` : ""}: ${message}${held > 0 ? ` [${held} similar alert${held === 1 ? "" : "s"} held back]` : ""}`;
+  const n = { event, title, account, message, text, ts: new Date(now).toISOString(), held, details };
+  for (const hook of notifier.webhooks) {
+    if (hook.events && !hook.events.includes(event)) continue;
+    if (runtime.dryRun) {
+      logInfo(`${paint(C.yellow, "DRY RUN")} ${hook.type ?? "generic"} notification: ${text}`);
+      continue;
     }
-    throw err;
+    const delivery = sendWebhook(hook, webhookRequest(hook, n)).finally(() => notifier.pending.delete(delivery));
+    notifier.pending.add(delivery);
   }
-  return json;
 }
 
-// ----- Xage APIs -----
-async function getMe(cookie) {
-  return requestJson(`${BASE_URL}/api/auth/me`, {
-    method: "GET",
-    headers: makeHeaders(cookie),
-  });
+async function flushNotifications() {
+  await Promise.allSettled([...notifier.pending]);
 }
 
-async function getTasks(cookie) {
+// ----- Status API -----
+// Optional local HTTP server (settings.api.port or --status-port) for watching and steering a run:
+//   GET  /status                   mode, loop state and, per account: status, last action, last
+//                                  error, points/balances, last cookie refresh and next scheduled time
+//   POST /pause, /resume           hold / continue the whole loop (running jobs finish first)
+//   POST /accounts/<label>/pause   hold / continue one account
+//   POST /accounts/<label>/resume
+//   POST /skip                     end the delay being waited now (or the next one)
+//   POST /stop                     graceful stop, like Ctrl+C
+// Pauses apply to the TradeX/SituationX loops and tasks; they are not saved in config.json.
+// With settings.api.token set every request needs "Authorization: Bearer <token>".
+const PAUSED_RECHECK_MS = 60000;
+
+const control = {
+  cfg: null,
+  indexes: [], // accounts of this run
+  startedAt: null,
+  state: null, // { stopRequested, skipDelay, ... } of the running loop
+  paused: false,
+  pausedAccounts: new Set(), // labels
+  busy: new Set(), // labels with work in progress
+  accounts: new Map(), // label -> { lastAction, lastError, balances, cookieRefreshedAt }
+  schedule: null, // () => Map label -> nextAt (ms), from the running loop
+};
+
+function liveStatus(label) {
+  let s = control.accounts.get(label);
+  if (!s) {
+    s = { lastAction: null, lastError: null, balances: {}, cookieRefreshedAt: null };
+    control.accounts.set(label, s);
+  }
+  return s;
+}
+
+// Run fn as work for this account: log context, and "working" in /status while it runs
+function runForAccount(label, fn) {
+  return withLogContext(label, async () => {
+    control.busy.add(label);
+    try {
+      return await fn();
+    } finally {
+      control.busy.delete(label);
+    }
+  });
+}
+
+const isPausedAccount = (label) => control.pausedAccounts.has(label);
+
+function statusSnapshot() {
+  const cfg = control.cfg;
+  const schedule = control.schedule ? control.schedule() : new Map();
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    mode: logger.mode,
+    startedAt: iso(control.startedAt),
+    dryRun: runtime.dryRun,
+    paused: control.paused,
+    stopping: !!control.state?.stopRequested,
+    accounts: control.indexes.map((i) => {
+      const acc = cfg.accounts[i];
+      const s = liveStatus(acc.label);
+      let status = "idle";
+      if (acc.disabled) status = "disabled";
+      else if (acc.suspended) status = "suspended";
+      else if (control.busy.has(acc.label)) status = "working";
+      else if (isPausedAccount(acc.label) || control.paused) status = "paused";
+      else if (schedule.has(acc.label)) status = "waiting";
+      return {
+        label: acc.label,
+        status,
+        paused: isPausedAccount(acc.label),
+        suspended: acc.suspended?.reason ?? null,
+        lastAction: s.lastAction,
+        lastError: s.lastError,
+        balances: s.balances,
+        cookieRefreshedAt: s.cookieRefreshedAt,
+        nextAt: iso(schedule.get(acc.label)),
+      };
+    }),
+  };
+}
+
+function tokenMatches(header) {
+  const hash = (s) => crypto.createHash("sha256").update(String(s)).digest();
+  return crypto.timingSafeEqual(hash(header || ""), hash(`Bearer ${getSettings(control.cfg).api.token}`));
+}
+
+// Loop-wide actions: POST /<name> -> [status, body]
+const CONTROL_ACTIONS = {
+  pause() {
+    control.paused = true;
+    logWarn("Loop paused over the status API.");
+    return [200, { paused: true }];
+  },
+  resume() {
+    control.paused = false;
+    logInfo("Loop resumed over the status API.");
+    if (control.state) wakeResumed(control.state);
+    return [200, { paused: false }];
+  },
+  skip() {
+    if (!control.state) return [409, { error: "No loop is running." }];
+    control.state.skipDelay = true;
+    logInfo("Skipping the current delay (status API).");
+    wakeSleepers(control.state);
+    return [200, { skipped: true }];
+  },
+  stop() {
+    if (!control.state) return [409, { error: "No loop is running." }];
+    control.state.stopRequested = true;
+    control.state.stopReason = "stop requested over the status API";
+    logWarn("Stop requested over the status API. Exiting soon...");
+    wakeSleepers(control.state);
+    return [200, { stopping: true }];
+  },
+};
+
+function handleStatusRequest(req) {
+  if (getSettings(control.cfg).api.token && !tokenMatches(req.headers.authorization)) {
+    return [401, { error: "Missing or wrong bearer token." }];
+  }
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname === "/status") return req.method === "GET" ? [200, statusSnapshot()] : [405, { error: "Use GET." }];
+
+  const accountAction = pathname.match(/^\/accounts\/([^/]+)\/(pause|resume)$/);
+  const action = accountAction ? accountAction[2] : Object.hasOwn(CONTROL_ACTIONS, pathname.slice(1)) && pathname.slice(1);
+  if (!action) return [404, { error: `Unknown endpoint ${pathname}.` }];
+  if (req.method !== "POST") return [405, { error: "Use POST." }];
+  if (!accountAction) return CONTROL_ACTIONS[action]();
+
+  let label;
+  try {
+    label = decodeURIComponent(accountAction[1]);
+  } catch {
+    return [400, { error: `Bad account label in ${pathname}.` }];
+  }
+  if (!control.indexes.some((i) => control.cfg.accounts[i].label === label)) {
+    return [404, { error: `Account "${label}" is not part of this run.` }];
+  }
+  if (action === "pause") {
+    control.pausedAccounts.add(label);
+    logWarn(`"${label}" paused over the status API.`);
+  } else {
+    control.pausedAccounts.delete(label);
+    logInfo(`"${label}" resumed over the status API.`);
+    if (control.state) wakeResumed(control.state);
+  }
+  return [200, { label, paused: isPausedAccount(label) }];
+}
+
+// Start the status API for this run; resolves with a close() function (a no-op when it is off)
+async function startStatusApi(cfg, indexes, port) {
+  control.cfg = cfg;
+  control.indexes = indexes;
+  control.startedAt = Date.now();
+  if (!port) return async () => {};
+
+  const { host, token } = getSettings(cfg).api;
+  const server = http.createServer((req, res) => {
+    let status;
+    let body;
+    try {
+      [status, body] = logContext.exit(() => handleStatusRequest(req));
+    } catch (e) {
+      // A bad request must never take the running loop down with it
+      logWarn(`Status API: ${req.method} ${req.url} failed: ${e.message}`);
+      [status, body] = [500, { error: "Internal error." }];
+    }
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body, null, 2));
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", (e) => reject(new Error(`Status API could not listen on ${host}:${port}: ${e.message}`)));
+    server.listen(port, host, resolve);
+  });
+  if (!token && !["127.0.0.1", "localhost", "::1"].includes(host)) {
+    logWarn(`Status API listens on ${host} without settings.api.token: anyone who can reach it can stop the bot.`);
+  }
+  logInfo(`Status API on http://${host.includes(":") ? `[${host}]` : host}:${server.address().port}/status`);
+  return () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+// ----- Suspended accounts -----
+// An account whose cookie expires while nobody can be asked is marked
+//   "suspended": { "reason": "...", "at": "<ISO time>", "cookieHash": "<hash of the dead cookie>" }
+// in config.json and skipped. Writing a different cookie for it into config.json (or running
+// `accounts reauth`) brings it back: running loops re-check suspended accounts periodically.
+const cookieHash = (cookie) => crypto.createHash("sha256").update(cookie || "").digest("hex").slice(0, 16);
+
+function isSuspended(cfg, index) {
+  return !!cfg.accounts[index]?.suspended;
+}
+
+// Should an expired cookie for this run be prompted for, or the account suspended?
+function authExpiredPolicy(cfg) {
+  const { onExpired } = getSettings(cfg).auth;
+  if (onExpired === "auto") return runtime.interactive ? "prompt" : "suspend";
+  return onExpired;
+}
+
+function suspendAccount(cfg, index, reason) {
+  const acc = cfg.accounts[index];
+  acc.suspended = { reason, at: new Date().toISOString(), cookieHash: cookieHash(acc.cookie) };
+  saveConfig(cfg);
+  logErr(`"${acc.label}" suspended: ${reason} Put a fresh cookie in config.json or run: node index.js accounts reauth ${acc.label}`);
+  const err = new Error(`"${acc.label}" is suspended: ${reason}`);
+  err.code = "SUSPENDED";
+  return err;
+}
+
+function clearSuspension(cfg, index) {
+  delete cfg.accounts[index].suspended;
+  saveConfig(cfg);
+}
+
+// Copy cookies the user wrote into config.json for suspended accounts, so our own writes
+// don't overwrite them and the re-check below sees them.
+function pullSuspendedCookiesFromDisk(cfg) {
+  if (!cfg.accounts.some((a) => a.suspended)) return;
+  const disk = readConfigIfExists();
+  if (!disk || !Array.isArray(disk.accounts)) return;
+  for (const acc of cfg.accounts) {
+    if (!acc.suspended) continue;
+    const onDisk = disk.accounts.find((a) => a && a.label === acc.label);
+    if (!onDisk || typeof onDisk.cookie !== "string" || !onDisk.cookie.trim()) continue;
+    try {
+      acc.cookie = openCookie(onDisk.cookie.trim(), `cookie of "${acc.label}"`);
+    } catch (e) {
+      logWarn(e.message);
+    }
+  }
+}
+
+// Try suspended accounts whose cookie changed since they were suspended; resume the ones that work
+async function resumeSuspendedAccounts(cfg) {
+  pullSuspendedCookiesFromDisk(cfg);
+  for (let i = 0; i < cfg.accounts.length; i++) {
+    const acc = cfg.accounts[i];
+    if (!acc.suspended || !acc.cookie || cookieHash(acc.cookie) === acc.suspended.cookieHash) continue;
+    try {
+      const me = await getMe(acc.cookie);
+      if (!me?.success || !me?.user) throw new Error("Invalid /auth/me response.");
+      clearSuspension(cfg, i);
+      logOk(`"${acc.label}" resumed with the new cookie from config.json.`);
+    } catch (e) {
+      if (e && e.code === "AUTH") {
+        acc.suspended = { ...acc.suspended, cookieHash: cookieHash(acc.cookie), reason: "New cookie is invalid/expired too." };
+        saveConfig(cfg);
+        logWarn(`"${acc.label}" new cookie is invalid/expired too; still suspended.`);
+      } else {
+        logWarn(`"${acc.label}" could not check the new cookie: ${e.message}`);
+      }
+    }
+  }
+}
+
+function setAccountCookie(cfg, index, newCookie) {
+  cfg.accounts[index].cookie = (newCookie || "").trim();
+  saveConfig(cfg);
+}
+
+// ----- Journal -----
+// Append-only JSONL record of every action, one object per line:
+//   { ts, account, type, ok, ...details }
+// type: "task.complete" | "task.reconcile" | "tradex.create" | "situationx.create" | "lootbox.open"
+// Creations also carry { group, attempt } so the forever loops can resume a group after a restart.
+// Lootbox opens are the prize ledger: { game, lootboxId, box, price, balance (before), prize, wonUsdt }.
+// Nothing is written in a dry run: the previewed actions never happened.
+function journalAppend(type, account, details = {}) {
+  const entry = { ts: new Date().toISOString(), account, type, ...details };
+  if (account) liveStatus(account).lastAction = entry;
+  if (runtime.dryRun) return entry;
+  try {
+    fs.appendFileSync(JOURNAL_PATH, JSON.stringify(entry) + "\n", "utf8");
+  } catch (e) {
+    logWarn(`Failed to write journal: ${e.message}`);
+  }
+  return entry;
+}
+
+// Read a JSONL file written by journalAppend/recordSample. Lines that do not parse
+// (e.g. cut off by a crash) are skipped.
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // skip
+    }
+  }
+  return out;
+}
+
+// Read journal entries, optionally filtered by type(s) and account label(s).
+function readJournal({ types = null, accounts = null } = {}) {
+  return readJsonLines(JOURNAL_PATH).filter((entry) =>
+    (!types || types.includes(entry.type)) && (!accounts || accounts.includes(entry.account)));
+}
+
+// Move an account's journal (or history) entries to a new label (used by `accounts relabel`).
+// Returns the number of entries rewritten.
+function relabelJournal(oldLabel, newLabel, file = JOURNAL_PATH) {
+  if (!fs.existsSync(file)) return 0;
+  let moved = 0;
+  const lines = fs.readFileSync(file, "utf8").split("\n").map((line) => {
+    if (!line.trim()) return line;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.account !== oldLabel) return line;
+      moved++;
+      return JSON.stringify({ ...entry, account: newLabel });
+    } catch {
+      return line;
+    }
+  });
+  if (moved > 0) {
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, lines.join("\n"), "utf8");
+    fs.renameSync(tmpPath, file);
+  }
+  return moved;
+}
+
+// ----- Points and balance history -----
+// history.jsonl next to config.json, one sample per line: { ts, account, metric, value }
+// metric: "points" (from /auth/me) | "tradex" | "situationx" (XAGE-USDT balance of that game).
+// Samples come from every /auth/me and balance call the client makes. An unchanged value is
+// written at most every HISTORY_MIN_INTERVAL_MS so the forever loops don't fill the file with repeats.
+const HISTORY_METRICS = ["points", "tradex", "situationx"];
+const HISTORY_MIN_INTERVAL_MS = 15 * 60 * 1000;
+const lastSamples = new Map(); // "label/metric" -> { value, at }
+
+function recordSample(account, metric, value) {
+  const n = typeof value === "string" ? parseFloat(value) : value;
+  if (!account || typeof n !== "number" || !Number.isFinite(n)) return;
+  const key = `${account}/${metric}`;
+  const now = Date.now();
+  liveStatus(account).balances[metric] = { value: n, at: new Date(now).toISOString() };
+  const last = lastSamples.get(key);
+  if (last && last.value === n && now - last.at < HISTORY_MIN_INTERVAL_MS) return;
+  if (runtime.dryRun) return;
+  lastSamples.set(key, { value: n, at: now });
+  const sample = { ts: new Date(now).toISOString(), account, metric, value: n };
+  try {
+    fs.appendFileSync(HISTORY_PATH, JSON.stringify(sample) + "\n", "utf8");
+  } catch (e) {
+    logWarn(`Failed to write history: ${e.message}`);
+  }
+}
+
+// Accounts running in parallel can need input at the same time (e.g. two expired cookies).
+// Two readline interfaces on one stdin would both get the same typed line, so prompts take turns.
+let promptQueue = Promise.resolve();
+
+function withPromptLock(fn) {
+  const run = promptQueue.then(fn);
+  promptQueue = run.catch(() => {});
+  return run;
+}
+
+async function promptLine(question) {
+  if (!runtime.interactive) {
+    const err = new Error(`Input required but running non-interactively (--yes): ${question.trim()}`);
+    err.code = "NO_PROMPT";
+    throw err;
+  }
+  return withPromptLock(async () => {
+    const rl = readline.createInterface({ input, output });
+    try {
+      return (await rl.question(question)).trim();
+    } finally {
+      rl.close();
+    }
+  });
+}
+
+// Like promptLine, but the answer is not echoed
+async function promptSecret(question) {
+  if (!runtime.interactive) {
+    const err = new Error(`Input required but running non-interactively (--yes): ${question.trim()}`);
+    err.code = "NO_PROMPT";
+    throw err;
+  }
+  return withPromptLock(async () => {
+    output.write(question);
+    const muted = new Writable({ write: (_chunk, _enc, cb) => cb() });
+    const rl = readline.createInterface({ input, output: muted, terminal: !!input.isTTY });
+    try {
+      return await rl.question("");
+    } finally {
+      rl.close();
+      output.write("\n");
+    }
+  });
+}
+
+async function promptYesNo(question, defaultYes = false) {
+  const suffix = defaultYes ? " [Y/n]: " : " [y/N]: ";
+  const ans = (await promptLine(question + suffix)).toLowerCase();
+  if (!ans) return defaultYes;
+  return ans === "y" || ans === "yes";
+}
+
+// label names the account in the question itself: with parallel accounts the warning
+// above it may belong to another prompt
+async function promptCookie(reason, label = null) {
+  if (reason) logWarn(reason);
+  const answer = await promptLine(`Enter full cookie string${label ? ` for "${label}"` : ""} (or path to a cookies.txt / JSON export): `);
+  return answer ? cookieFromInput(answer) : "";
+}
+
+// ----- Cookie import -----
+// Accepts what users tend to have at hand and turns it into a "name=value; ..." header:
+//   - the raw header string "GAESA=...; connect.sid=..."
+//   - Netscape cookies.txt (tab separated: domain, subdomains, path, secure, expiry, name, value)
+//   - browser-extension JSON exports: [{ name, value, domain, ... }] or { cookies: [...] }
+// From file formats only cookies for xage.app are kept.
+const COOKIE_DOMAIN = "xage.app";
+const REQUIRED_COOKIES = ["GAESA", "connect.sid"];
+
+const isXageDomain = (domain) => {
+  const d = String(domain || "").replace(/^\./, "").toLowerCase();
+  return d === COOKIE_DOMAIN || d.endsWith(`.${COOKIE_DOMAIN}`);
+};
+
+function parseNetscapeCookies(text) {
+  const out = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine;
+    if (line.startsWith("#HttpOnly_")) line = line.slice("#HttpOnly_".length);
+    else if (!line.trim() || line.startsWith("#")) continue;
+    const f = line.split("\t");
+    if (f.length < 7) continue;
+    out.push({ domain: f[0], name: f[5], value: f.slice(6).join("\t").trim(), expires: Number(f[4]) || 0 });
+  }
+  return out;
+}
+
+function parseJsonCookies(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.cookies) ? data.cookies : null;
+  if (!list) throw new Error("JSON cookie export must be an array of cookies or { cookies: [...] }.");
+  return list
+    .filter((c) => c && typeof c.name === "string")
+    .map((c) => ({
+      domain: c.domain ?? c.host ?? "",
+      name: c.name,
+      value: String(c.value ?? ""),
+      expires: Number(c.expirationDate ?? c.expires ?? c.expiry) || 0,
+    }));
+}
+
+// Parse any supported cookie format.
+// Returns { cookie, format, names, missing, expired } — cookie is the header string to send.
+function parseCookieText(text) {
+  const trimmed = String(text || "").trim();
+  let format;
+  let cookies;
+  if (/^[[{]/.test(trimmed)) {
+    format = "json";
+    cookies = parseJsonCookies(JSON.parse(trimmed)).filter((c) => isXageDomain(c.domain));
+  } else if (/^# ?Netscape HTTP Cookie File/i.test(trimmed) || trimmed.split(/\r?\n/).some((l) => l.split("\t").length >= 7)) {
+    format = "netscape";
+    cookies = parseNetscapeCookies(trimmed).filter((c) => isXageDomain(c.domain));
+  } else {
+    format = "header";
+    cookies = trimmed.split(";").map((part) => {
+      const eq = part.indexOf("=");
+      return eq > 0 ? { name: part.slice(0, eq).trim(), value: part.slice(eq + 1).trim(), expires: 0 } : null;
+    }).filter(Boolean);
+  }
+
+  // Later duplicates win (exports sometimes list a cookie for both xage.app and .xage.app)
+  const byName = new Map();
+  for (const c of cookies) if (c.name && c.value) byName.set(c.name, c);
+  const now = Date.now() / 1000;
+  const list = [...byName.values()];
+  return {
+    cookie: list.map((c) => `${c.name}=${c.value}`).join("; "),
+    format,
+    names: list.map((c) => c.name),
+    missing: REQUIRED_COOKIES.filter((n) => !byName.has(n)),
+    expired: list.filter((c) => c.expires > 0 && c.expires < now).map((c) => c.name),
+  };
+}
+
+function warnCookieProblems(parsed, source) {
+  if (!parsed.cookie) logWarn(`${source}: no ${COOKIE_DOMAIN} cookies found.`);
+  if (parsed.missing.length > 0) logWarn(`${source}: missing ${parsed.missing.join(" and ")} — the session will probably not work.`);
+  if (parsed.expired.length > 0) logWarn(`${source}: expired cookie(s): ${parsed.expired.join(", ")}.`);
+}
+
+// Cookie from user input: a path to an export file, or the cookie text itself
+function cookieFromInput(input) {
+  const value = String(input || "").trim();
+  const isFile = value && !value.includes("=") && fs.existsSync(value) && fs.statSync(value).isFile();
+  const text = isFile ? fs.readFileSync(value, "utf8") : value;
+  const parsed = parseCookieText(text);
+  if (isFile || parsed.format !== "header") {
+    logInfo(`Read ${parsed.names.length} ${COOKIE_DOMAIN} cookie(s) from ${isFile ? path.basename(value) : "pasted text"} (${parsed.format}).`);
+  }
+  warnCookieProblems(parsed, isFile ? path.basename(value) : "Cookie");
+  return parsed.cookie;
+}
+
+async function promptLabel(defaultLabel) {
+  const s = await promptLine(`Account label (default: ${defaultLabel}): `);
+  return s ? s : defaultLabel;
+}
+
+async function promptMenu() {
+  console.log("");
+  console.log(paint(C.bold, "Select mode:"));
+  console.log("1) Auto task completion");
+  console.log("2) TradeX game (Token creations)");
+  console.log("3) Open Lootboxes");
+  console.log("4) SituationX Games");
+  const ans = await promptLine("Enter choice (1/2/3/4): ");
+  if (ans === "1") return "TASKS";
+  if (ans === "2") return "TRADEX";
+  if (ans === "3") return "LOOTBOX";
+  if (ans === "4") return "SITUATIONX";
+  return null;
+}
+
+function makeHeaders(cookie, { extra = {}, referer = REFERER_APP } = {}) {
+  return {
+    accept: "*/*",
+    "accept-language": "en-US,en;q=0.5",
+    cookie,
+    Referer: referer,
+    ...extra,
+  };
+}
+
+function parseRetryAfterMs(retryAfterValue) {
+  if (!retryAfterValue) return null;
+  const secs = Number(retryAfterValue);
+  if (!Number.isNaN(secs)) return Math.max(1000, Math.floor(secs * 1000));
+  const t = Date.parse(retryAfterValue);
+  if (!Number.isNaN(t)) return Math.max(1000, t - Date.now());
+  return null;
+}
+
+function looksLikeAuthProblem(resStatus, json, text) {
+  if (resStatus === 401 || resStatus === 403) return true;
+  const msg = (
+    (json && (json.message || json.error)) ||
+    (typeof text === "string" ? text : "")
+  ).toString();
+  return /unauth|unauthoriz|forbidden|expired|cookie|login|session/i.test(msg);
+}
+
+// --dry-run: show a request that would change something instead of sending it
+const DRY_RUN_MAX_STRING = 120; // longer payload strings (image data URLs) are cut in the preview
+
+function redactHeaders(headers) {
+  const out = { ...headers };
+  if (out.cookie) {
+    const names = String(out.cookie).split(";").map((p) => p.split("=")[0].trim()).filter(Boolean);
+    out.cookie = `<redacted: ${names.join(", ")}>`;
+  }
+  return out;
+}
+
+function logDryRunRequest(method, url, headers, body) {
+  let payload = body;
+  try {
+    payload = body ? JSON.parse(body) : null;
+  } catch {
+    // not JSON: show as is
+  }
+  const shorten = (k, v) => (typeof v === "string" && v.length > DRY_RUN_MAX_STRING
+    ? `${v.slice(0, DRY_RUN_MAX_STRING)}… (${v.length} chars)`
+    : v);
+  logInfo(`${paint(C.yellow, "DRY RUN")} ${method} ${url}`);
+  logInfo(`  headers: ${JSON.stringify(redactHeaders(headers))}`);
+  logInfo(`  payload: ${JSON.stringify(payload, shorten)}`);
+}
+
+// dryRunReply: what a mutating call answers in a dry run (shaped like the real response,
+// plus dryRun: true)
+async function requestJson(url, { method = "GET", headers = {}, body = null, dryRunReply = null } = {}) {
+  if (runtime.dryRun && method !== "GET") {
+    logDryRunRequest(method, url, headers, body);
+    return { success: true, dryRun: true, ...dryRunReply };
+  }
+  await throttleRequest();
+  const startedAt = Date.now();
+  const res = await fetch(url, { method, headers, body });
+  const text = await res.text();
+  logDebug(`${method} ${url} → HTTP ${res.status} (${Date.now() - startedAt}ms, ${text.length} bytes)`);
+
+  if (res.status === 429) {
+    const ra = res.headers.get("retry-after");
+    const waitMs = parseRetryAfterMs(ra); // null: caller applies its fallback
+    const err = new Error("HTTP 429: RATE_LIMIT");
+    err.code = "RATE_LIMIT";
+    err.waitMs = waitMs;
+    err.retryAfterRaw = ra;
+    throw err;
+  }
+
+  let json;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    if (looksLikeAuthProblem(res.status, null, text)) {
+      const err = new Error(`AUTH: Cookie invalid/expired (HTTP ${res.status})`);
+      err.code = "AUTH";
+      err.status = res.status;
+      throw err;
+    }
+    throw new Error(`Response is not JSON. HTTP ${res.status}. Snippet: ${text.slice(0, 200)}`);
+  }
+
+  if (!res.ok) {
+    const msg = (json && (json.message || json.error))
+      ? (json.message || json.error)
+      : text.slice(0, 200);
+    const err = new Error(`HTTP ${res.status}: ${msg}`);
+    if (looksLikeAuthProblem(res.status, json, text)) {
+      err.code = "AUTH";
+      err.status = res.status;
+    }
+    throw err;
+  }
+  return json;
+}
+
+// ----- Xage APIs -----
+async function getMe(cookie) {
+  return requestJson(`${BASE_URL}/api/auth/me`, {
+    method: "GET",
+    headers: makeHeaders(cookie),
+  });
+}
+
+async function getTasks(cookie) {
   return requestJson(`${BASE_URL}/api/tasks`, {
     method: "GET",
     headers: makeHeaders(cookie),
@@ -270,6 +1559,7 @@ async function completeTask(cookie, taskId) {
     method: "POST",
     headers: makeHeaders(cookie, { extra: { "content-type": "application/json" } }),
     body: null,
+    dryRunReply: { pointsAwarded: 0 },
   });
 }
 
@@ -281,6 +1571,7 @@ async function createTradeXToken(cookie, payload) {
       extra: { "content-type": "application/json" },
     }),
     body: JSON.stringify(payload),
+    dryRunReply: { token: { id: "dry-run", ...payload } },
   });
 }
 
@@ -299,6 +1590,7 @@ async function openLootbox(cookie, lootboxId) {
       extra: { "content-type": "application/json" }
     }),
     body: JSON.stringify({ lootboxId: Number(lootboxId) }),
+    dryRunReply: { prize: null },
   });
 }
 
@@ -310,6 +1602,7 @@ async function createSituation(cookie, payload) {
       extra: { "content-type": "application/json" },
     }),
     body: JSON.stringify(payload),
+    dryRunReply: { situation: { id: "dry-run", ...payload } },
   });
 }
 
@@ -335,6 +1628,7 @@ async function openSituationXLootbox(cookie, lootboxId) {
       extra: { "content-type": "application/json" }
     }),
     body: JSON.stringify({ lootboxId: Number(lootboxId) }),
+    dryRunReply: { prize: null },
   });
 }
 
@@ -343,11 +1637,36 @@ function printAccount(user, prefix = "ACCOUNT") {
   const xHandle = user?.xHandle ?? "-";
   const accountAge = user?.accountAge ?? "-";
   const points = user?.points ?? "-";
-  console.log(
+  writeLog(
+    "plain",
     `${paint(C.bold, prefix)} | xHandle=${paint(C.cyan, xHandle)} | accountAge=${paint(C.gray, String(accountAge))} | points=${paint(C.green, String(points))}`
   );
 }
 
+function accountLabel(cfg, index) {
+  return cfg.accounts[index]?.label || `acc${index + 1}`;
+}
+
+function allAccountIndexes(cfg) {
+  return cfg.accounts.map((_, i) => i);
+}
+
+// Resolve --account selectors (label or 1-based position, comma separated) to account indexes
+function resolveAccountIndexes(cfg, selectors) {
+  if (!selectors || selectors.length === 0) return allAccountIndexes(cfg);
+  const wanted = selectors.flatMap((s) => s.split(",")).map((s) => s.trim()).filter(Boolean);
+  const out = [];
+  for (const sel of wanted) {
+    let idx = cfg.accounts.findIndex((a) => a.label === sel);
+    if (idx === -1 && /^\d+$/.test(sel)) idx = Number(sel) - 1;
+    if (idx < 0 || idx >= cfg.accounts.length) {
+      throw new Error(`Unknown account "${sel}". Use a label from config.json or a number 1-${cfg.accounts.length}.`);
+    }
+    if (!out.includes(idx)) out.push(idx);
+  }
+  return out;
+}
+
 async function ensureAccountsExist(cfg) {
   if (cfg.accounts.length > 0) return;
   logWarn("No accounts found in config.json. Let's add at least one account.");
@@ -384,19 +1703,36 @@ async function maybeAppendMoreAccounts(cfg) {
   }
 }
 
-async function ensureValidCookieForAccount(cfg, index) {
+// fetchMe(cookie) calls /auth/me; XageClient passes one with its 429 retry policy
+async function ensureValidCookieForAccount(cfg, index, fetchMe = getMe) {
   let cookie = cfg.accounts[index].cookie || "";
   const label = cfg.accounts[index].label || `acc${index + 1}`;
+  if (isSuspended(cfg, index)) {
+    const err = new Error(`"${label}" is suspended: ${cfg.accounts[index].suspended.reason}`);
+    err.code = "SUSPENDED";
+    throw err;
+  }
+  if (authExpiredPolicy(cfg) === "suspend") {
+    if (!cookie.trim()) throw suspendAccount(cfg, index, "Cookie is missing.");
+    try {
+      const me = await fetchMe(cookie);
+      if (!me?.success || !me?.user) throw new Error("Invalid /auth/me response.");
+      return { cookie, me };
+    } catch (e) {
+      if (e && e.code === "AUTH") throw suspendAccount(cfg, index, "Cookie invalid/expired.");
+      throw e;
+    }
+  }
   for (let i = 1; i <= AUTH_MAX_RETRY; i++) {
     if (!cookie.trim()) {
-      cookie = (await promptCookie(`Cookie is missing for "${label}". Please enter it.`)).trim();
+      cookie = (await promptCookie(`Cookie is missing for "${label}". Please enter it.`, label)).trim();
     }
     if (!cookie) {
       logWarn("Cookie cannot be empty.");
       continue;
     }
     try {
-      const me = await getMe(cookie);
+      const me = await fetchMe(cookie);
       if (!me?.success || !me?.user) throw new Error("Invalid /auth/me response.");
       setAccountCookie(cfg, index, cookie);
       return { cookie, me };
@@ -409,14 +1745,17 @@ async function ensureValidCookieForAccount(cfg, index) {
       throw e;
     }
   }
-  throw new Error(`Failed to validate cookie for "${label}" after multiple attempts.`);
+  const err = new Error(`Failed to validate cookie for "${label}" after multiple attempts.`);
+  err.code = "AUTH_FAILED";
+  throw err;
 }
 
 async function refreshCookieForAccount(cfg, index, reason) {
   const label = cfg.accounts[index].label || `acc${index + 1}`;
+  if (authExpiredPolicy(cfg) === "suspend") throw suspendAccount(cfg, index, reason || "Cookie expired/invalid.");
   let cookie = "";
   for (let i = 1; i <= AUTH_MAX_RETRY; i++) {
-    cookie = (await promptCookie(reason || `"${label}" cookie expired/invalid. Please enter a new cookie.`)).trim();
+    cookie = (await promptCookie(reason || `"${label}" cookie expired/invalid. Please enter a new cookie.`, label)).trim();
     if (!cookie) {
       logWarn("Cookie cannot be empty.");
       continue;
@@ -435,92 +1774,322 @@ async function refreshCookieForAccount(cfg, index, reason) {
       throw e;
     }
   }
-  throw new Error(`Failed to refresh cookie for "${label}" after multiple attempts.`);
+  const err = new Error(`Failed to refresh cookie for "${label}" after multiple attempts.`);
+  err.code = "AUTH_FAILED";
+  throw err;
 }
 
-// ----- Mode 1: Auto tasks -----
-async function runTasksForAccount(cfg, index) {
-  const label = cfg.accounts[index].label || `acc${index + 1}`;
-  logInfo(`========== MODE: TASKS | ACCOUNT: ${label} ==========`);
-  let { cookie, me: me0 } = await ensureValidCookieForAccount(cfg, index);
-  printAccount(me0.user, `START (${label})`);
+// Errors after which an account cannot go on: its cookie is unusable and nobody can supply a new one
+function isAccountFatal(e) {
+  return !!e && (e.code === "AUTH_FAILED" || e.code === "NO_PROMPT" || e.code === "SUSPENDED");
+}
 
-  let t0;
-  while (true) {
+// ----- Xage client -----
+// One client per account. It owns the account's cookie (stored in cfg) and applies the
+// retry policy from settings.retry to every call:
+//   AUTH       → refresh the cookie (up to authMaxRefresh times per call), then retry
+//   RATE_LIMIT → wait Retry-After (or fallbackWaitMs) + jitter, up to maxAttempts in total
+// Events (clientFor hooks them up to the webhooks and the status API):
+//   "cookieExpired"   { label, index, reason }  before asking for a new cookie on the terminal
+//   "cookieRefreshed" { label, index, reason }  after a new cookie was checked and saved
+//   "suspended"       { label, index, reason }
+class XageClient extends EventEmitter {
+  constructor(cfg, index) {
+    super();
+    this.cfg = cfg;
+    this.index = index;
+    this.state = null; // loop state; a stop request cuts 429 waits short
+  }
+
+  get label() {
+    return accountLabel(this.cfg, this.index);
+  }
+
+  get cookie() {
+    return this.cfg.accounts[this.index].cookie || "";
+  }
+
+  get policy() {
+    return getSettings(this.cfg, this.index).retry;
+  }
+
+  // Make sure a working cookie is stored (prompting if needed); resolves with the /auth/me response
+  async ensureValid() {
+    // AUTH is handled by ensureValidCookieForAccount itself (prompt or suspend), so no refresh here
+    const fetchMe = (cookie) => this.request("checking the cookie", () => getMe(cookie), { refreshAuth: false });
+    const wasSuspended = isSuspended(this.cfg, this.index);
     try {
-      t0 = await getTasks(cookie);
-      break;
+      const { me } = await ensureValidCookieForAccount(this.cfg, this.index, fetchMe);
+      recordSample(this.label, "points", me?.user?.points);
+      return me;
     } catch (e) {
-      if (e && e.code === "AUTH") {
-        const refreshed = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired while fetching tasks.`);
-        cookie = refreshed.cookie;
-        continue;
-      }
+      if (e?.code === "SUSPENDED" && !wasSuspended) this.emitSuspended();
       throw e;
     }
   }
 
-  if (!t0?.success || !Array.isArray(t0?.tasks)) throw new Error(`"${label}": failed to fetch /tasks.`);
-  const pending = t0.tasks.filter((t) => t && t.completed === false);
-  logInfo(`"${label}" pending tasks: ${pending.length}`);
-  if (pending.length === 0) {
-    logOk(`"${label}": no tasks to complete.`);
-    return;
+  async refresh(reason) {
+    const event = { label: this.label, index: this.index, reason };
+    if (authExpiredPolicy(this.cfg) !== "suspend") this.emit("cookieExpired", event);
+    let refreshed;
+    try {
+      refreshed = await refreshCookieForAccount(this.cfg, this.index, reason);
+    } catch (e) {
+      if (e?.code === "SUSPENDED") this.emitSuspended();
+      throw e;
+    }
+    this.emit("cookieRefreshed", event);
+    return refreshed;
   }
 
-  for (let i = 0; i < pending.length; i++) {
-    const t = pending[i];
-    logInfo(`"${label}" (${i + 1}/${pending.length}) Processing: ${t.name} | type=${t.type} | reward=${t.points} | id=${t.id}`);
-    await sleepRandom(TASK_DELAY_MIN_MS, TASK_DELAY_MAX_MS, `"${label}" task delay`);
+  emitSuspended() {
+    this.emit("suspended", { label: this.label, index: this.index, reason: this.cfg.accounts[this.index].suspended?.reason });
+  }
 
+  // refreshAuth: false lets AUTH errors through instead of asking for a new cookie
+  async request(what, fn, { refreshAuth = true } = {}) {
+    const policy = this.policy;
+    const label = this.label;
     let attempt = 0;
-    while (attempt < RATE_LIMIT_MAX_RETRY) {
+    let refreshes = 0;
+    while (true) {
       attempt++;
       try {
-        const done = await completeTask(cookie, t.id);
-        if (done?.success) logOk(`"${label}" done. pointsAwarded=${done.pointsAwarded}, newTotal=${done.newTotal}`);
-        else logWarn(`"${label}" success=false for task id=${t.id}`);
-        break;
+        return await fn(this.cookie);
       } catch (e) {
-        if (e && e.code === "AUTH") {
-          const refreshed = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired while completing a task.`);
-          cookie = refreshed.cookie;
+        if (e && e.code === "AUTH" && refreshAuth && refreshes < policy.authMaxRefresh) {
+          refreshes++;
           attempt--;
+          await this.refresh(`"${label}" cookie expired while ${what}.`);
           continue;
         }
-        if (e && e.code === "RATE_LIMIT") {
-          const waitMs = e.waitMs ?? RATE_LIMIT_FALLBACK_WAIT_MS;
+        if (e && e.code === "RATE_LIMIT" && attempt < policy.maxAttempts && !this.state?.stopRequested) {
+          const waitMs = e.waitMs ?? policy.fallbackWaitMs;
           const raRaw = e.retryAfterRaw ? ` (Retry-After=${e.retryAfterRaw})` : "";
-          logWarn(`"${label}" HTTP 429. Waiting ${waitMs}ms${raRaw}, then retry (${attempt}/${RATE_LIMIT_MAX_RETRY})`);
-          await sleep(waitMs);
-          await sleepRandom(500, 1500, `"${label}" jitter`);
+          const jitterMs = randInt(policy.jitterMinMs, policy.jitterMaxMs);
+          logWarn(`"${label}" HTTP 429 while ${what}. Waiting ${waitMs}ms${raRaw} + ${jitterMs}ms jitter, then retry (${attempt}/${policy.maxAttempts})`);
+          await sleepUnlessStopped(waitMs + jitterMs, this.state);
+          if (this.state?.stopRequested) throw e;
           continue;
         }
-        logWarn(`"${label}" failed to complete task id=${t.id}: ${e.message}`);
-        break;
+        throw e;
       }
     }
+  }
 
-    while (true) {
-      try {
-        const meAfter = await getMe(cookie);
-        if (meAfter?.success && meAfter?.user) printAccount(meAfter.user, `AFTER (${label})`);
-        else logWarn(`"${label}" failed to refresh /auth/me after task.`);
-        break;
-      } catch (e) {
-        if (e && e.code === "AUTH") {
-          const refreshed = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired while refreshing /auth/me.`);
-          cookie = refreshed.cookie;
-          continue;
-        }
-        logWarn(`"${label}" error refreshing /auth/me: ${e.message}`);
-        break;
+  async getMe() {
+    const me = await this.request("fetching /auth/me", (cookie) => getMe(cookie));
+    recordSample(this.label, "points", me?.user?.points);
+    return me;
+  }
+
+  getTasks() {
+    return this.request("fetching tasks", (cookie) => getTasks(cookie));
+  }
+
+  completeTask(taskId) {
+    return this.request("completing a task", (cookie) => completeTask(cookie, taskId));
+  }
+
+  createTradeXToken(payload) {
+    return this.request("creating a token", (cookie) => createTradeXToken(cookie, payload));
+  }
+
+  createSituation(payload) {
+    return this.request("creating a situation", (cookie) => createSituation(cookie, payload));
+  }
+
+  // game: "tradex" | "situationx"
+  async getBalance(game) {
+    const fn = game === "tradex" ? getTradeXBalance : getSituationXBalance;
+    const res = await this.request(`fetching ${game} balance`, (cookie) => fn(cookie));
+    if (res?.success) recordSample(this.label, game, res.balance);
+    return res;
+  }
+
+  getLootboxes(game) {
+    const fn = game === "tradex" ? getLootboxes : getSituationXLootboxes;
+    return this.request(`fetching ${game} lootboxes`, (cookie) => fn(cookie));
+  }
+
+  openLootbox(game, lootboxId) {
+    const fn = game === "tradex" ? openLootbox : openSituationXLootbox;
+    return this.request("opening a lootbox", (cookie) => fn(cookie, lootboxId));
+  }
+}
+
+const clients = new WeakMap();
+
+// Shared client for an account (keyed by the account object, so it follows relabels)
+function clientFor(cfg, index, state = null) {
+  const acc = cfg.accounts[index];
+  let client = clients.get(acc);
+  if (!client) {
+    client = new XageClient(cfg, index);
+    client.on("cookieExpired", ({ label }) => notify("cookieExpired", label, "Cookie expired; the bot is waiting for a new one on the terminal."));
+    client.on("cookieRefreshed", ({ label }) => {
+      liveStatus(label).cookieRefreshedAt = new Date().toISOString();
+    });
+    client.on("suspended", ({ label, reason }) => {
+      notify("cookieExpired", label, `Account suspended: ${reason} Waiting for a new cookie in config.json or "accounts reauth".`);
+    });
+    clients.set(acc, client);
+  }
+  client.index = index;
+  if (state) client.state = state;
+  return client;
+}
+
+// ----- Mode 1: Auto tasks -----
+// Why settings.tasks filters skip a task, or null when it may be completed
+function taskFilterReason(task, settings) {
+  const type = String(task.type ?? "");
+  const id = String(task.id ?? "");
+  const name = String(task.name ?? "");
+  const matchesName = (patterns) => patterns.some((p) => new RegExp(p, "i").test(name));
+  if (settings.denyTypes.includes(type)) return `type "${type}" is in denyTypes`;
+  if (settings.denyIds.includes(id)) return "id is in denyIds";
+  if (matchesName(settings.denyNames)) return "name matches denyNames";
+  if (settings.allowTypes.length > 0 && !settings.allowTypes.includes(type)) return `type "${type}" is not in allowTypes`;
+  if (settings.allowIds.length > 0 && !settings.allowIds.includes(id)) return "id is not in allowIds";
+  if (settings.allowNames.length > 0 && !matchesName(settings.allowNames)) return "name does not match allowNames";
+  return null;
+}
+
+// Re-fetch the tasks after a run: were the claimed ones really completed, and did the points
+// from getMe grow by the sum of pointsAwarded?
+async function reconcileTasks(client, label, claimed, pointsBefore) {
+  const tasks = await client.getTasks();
+  const me = await client.getMe();
+  if (!tasks?.success || !Array.isArray(tasks.tasks) || !me?.user) {
+    logWarn(`"${label}" reconciliation skipped: could not re-fetch tasks or /auth/me.`);
+    return;
+  }
+  const byId = new Map(tasks.tasks.map((t) => [String(t.id), t]));
+  const unconfirmed = claimed.filter((c) => byId.get(String(c.id))?.completed !== true).map((c) => c.id);
+  const awarded = claimed.reduce((sum, c) => sum + (Number(c.pointsAwarded) || 0), 0);
+  const delta = Number(me.user.points) - Number(pointsBefore);
+  journalAppend("task.reconcile", label, { ok: unconfirmed.length === 0 && delta === awarded, claimed: claimed.length, unconfirmed, awarded, pointsDelta: delta });
+
+  if (unconfirmed.length > 0) logWarn(`"${label}" tasks not marked completed after claiming: ${unconfirmed.join(", ")}`);
+  else logOk(`"${label}" all ${claimed.length} claimed task(s) confirmed completed.`);
+  if (delta !== awarded) logWarn(`"${label}" points changed by ${delta} but tasks reported ${awarded} awarded.`);
+  else logOk(`"${label}" points +${delta} match the ${awarded} awarded.`);
+}
+
+// state: the watch loop's stop state (null for a one-shot run). A stop, or a pause over the
+// status API, ends the account's run before its next task.
+async function runTasksForAccount(cfg, index, state = null) {
+  const label = cfg.accounts[index].label || `acc${index + 1}`;
+  logInfo(`========== MODE: TASKS | ACCOUNT: ${label} ==========`);
+  const settings = getSettings(cfg, index).tasks;
+  const client = clientFor(cfg, index, state);
+  const me0 = await client.ensureValid();
+  printAccount(me0.user, `START (${label})`);
+
+  const t0 = await client.getTasks();
+  if (!t0?.success || !Array.isArray(t0?.tasks)) throw new Error(`"${label}": failed to fetch /tasks.`);
+  const pending = t0.tasks.filter((t) => {
+    if (!t || t.completed !== false) return false;
+    const reason = taskFilterReason(t, settings);
+    if (reason) logInfo(`"${label}" skipping task "${t.name}" (id=${t.id}): ${reason}`);
+    return !reason;
+  });
+  logInfo(`"${label}" pending tasks: ${pending.length}`);
+  if (pending.length === 0) {
+    logOk(`"${label}": no tasks to complete.`);
+    return;
+  }
+
+  const claimed = []; // { id, pointsAwarded } of tasks the API reported as completed
+  for (let i = 0; i < pending.length; i++) {
+    const t = pending[i];
+    if (tasksHeld(label, state)) break;
+    logInfo(`"${label}" (${i + 1}/${pending.length}) Processing: ${t.name} | type=${t.type} | reward=${t.points} | id=${t.id}`);
+    await sleepRandom(settings.delayMinMs, settings.delayMaxMs, `"${label}" task delay`, state);
+    if (tasksHeld(label, state)) break;
+
+    try {
+      const done = await client.completeTask(t.id);
+      if (done?.dryRun) continue;
+      journalAppend("task.complete", label, { ok: !!done?.success, taskId: t.id, name: t.name, pointsAwarded: done?.pointsAwarded ?? null });
+      if (done?.success) {
+        claimed.push({ id: t.id, pointsAwarded: done.pointsAwarded });
+        logOk(`"${label}" done. pointsAwarded=${done.pointsAwarded}, newTotal=${done.newTotal}`);
+      } else {
+        logWarn(`"${label}" success=false for task id=${t.id}`);
       }
+    } catch (e) {
+      if (isAccountFatal(e)) throw e;
+      journalAppend("task.complete", label, { ok: false, taskId: t.id, name: t.name, error: e.message });
+      logWarn(`"${label}" failed to complete task id=${t.id}: ${e.message}`);
+    }
+
+    try {
+      const meAfter = await client.getMe();
+      if (meAfter?.success && meAfter?.user) printAccount(meAfter.user, `AFTER (${label})`);
+      else logWarn(`"${label}" failed to refresh /auth/me after task.`);
+    } catch (e) {
+      if (isAccountFatal(e)) throw e;
+      logWarn(`"${label}" error refreshing /auth/me: ${e.message}`);
+    }
+  }
+  if (tasksHeld(label, state)) logWarn(`"${label}" stopped before its remaining tasks; they are picked up next time.`);
+  else logOk(`"${label}" finished processing incomplete tasks.`);
+
+  if (claimed.length > 0 && !state?.stopRequested) {
+    try {
+      await reconcileTasks(client, label, claimed, me0.user.points);
+    } catch (e) {
+      if (isAccountFatal(e)) throw e;
+      logWarn(`"${label}" reconciliation failed: ${e.message}`);
+    }
+  }
+}
+
+// Should tasks stop for now: stop requested, or the account (or whole loop) paused
+const tasksHeld = (label, state) => !!state?.stopRequested || isPausedAccount(label) || control.paused;
+
+async function runTasksForAll(cfg, indexes, state = null) {
+  const { concurrency } = getSettings(cfg);
+  await runPool(indexes, concurrency.accounts, (i) => runForAccount(accountLabel(cfg, i), async () => {
+    if (isSuspended(cfg, i) || state?.stopRequested) return;
+    if (isPausedAccount(accountLabel(cfg, i)) || control.paused) {
+      logInfo(`"${accountLabel(cfg, i)}" is paused (status API), skipped.`);
+      return;
+    }
+    try {
+      await runTasksForAccount(cfg, i, state);
+    } catch (e) {
+      logErr(`Account "${accountLabel(cfg, i)}" failed: ${e.message}`);
     }
+  }));
+  logOk("All accounts processed (TASKS).");
+}
+
+// tasks --watch: run all accounts, wait settings.tasks.watchIntervalMs, repeat until Ctrl+C
+async function watchTasks(cfg, indexes) {
+  const state = { stopRequested: false };
+  installStopHandler(state);
+  logInfo("Tasks watch mode: re-checking for new tasks until Ctrl+C.");
+  while (!state.stopRequested) {
+    while (control.paused && !state.stopRequested) await sleepOrWake(PAUSED_RECHECK_MS, state, { onResume: true });
+    if (state.stopRequested) break;
+    await runTasksForAll(cfg, indexes, state);
+    if (state.stopRequested) break;
+    await resumeSuspendedAccounts(cfg);
+    const { watchIntervalMs } = getSettings(cfg).tasks;
+    const nextAt = Date.now() + scaledDelay(watchIntervalMs);
+    control.schedule = () => new Map(indexes.map((i) => [accountLabel(cfg, i), nextAt]));
+    await sleepInterruptible(watchIntervalMs, "Next task check in", state);
+    control.schedule = null;
+    state.skipDelay = false;
   }
-  logOk(`"${label}" finished processing incomplete tasks.`);
+  notify("loopStopped", null, `Tasks watch stopped (${state.stopReason || "stop requested"}).`);
+  logOk("Tasks watch stopped gracefully.");
 }
 
+
 // ----- Mode 2: TradeX -----
 function randomLetters(len, upper = false) {
   const A = upper ? "ABCDEFGHIJKLMNOPQRSTUVWXYZ" : "abcdefghijklmnopqrstuvwxyz";
@@ -548,154 +2117,360 @@ function randomDescription(name, ticker) {
   return templates[randInt(0, templates.length - 1)];
 }
 
-async function createOneTokenForAccount(cfg, index, state) {
+// ----- Token templates -----
+// token-templates.json (only read when settings.tradex.generator is "list" or "words"):
+//   { "tokens": [{ "name", "ticker"? }], "nameParts": [[...], [...]], "descriptions": ["{name} ({ticker}) ..."],
+//     "ttlSeconds": [300, 600], "imagesDir": "token-images" }
+// Tickers are never reused: the ones already created (journal) and handed out this run are skipped.
+const TOKEN_IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp" };
+const TOKEN_IMAGE_MAX_BYTES = 512 * 1024;
+
+const isStringList = (v) => Array.isArray(v) && v.length > 0 && v.every((s) => typeof s === "string" && s.trim());
+
+function readTokenTemplates(file) {
+  const name = path.basename(file);
+  if (!fs.existsSync(file)) throw new Error(`${name} not found (needed for settings.tradex.generator "list"/"words").`);
+  let spec;
+  try {
+    spec = JSON.parse(stripJsonComments(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON: ${e.message}`);
+  }
+  if (!isPlainObject(spec)) throw new Error(`${name} must be an object.`);
+  if (spec.tokens !== undefined && !(Array.isArray(spec.tokens) && spec.tokens.every((t) => isPlainObject(t) && typeof t.name === "string" && t.name.trim()))) {
+    throw new Error(`${name}: tokens must be a list of { "name", "ticker" } objects.`);
+  }
+  if (spec.nameParts !== undefined && !(Array.isArray(spec.nameParts) && spec.nameParts.length > 0 && spec.nameParts.every(isStringList))) {
+    throw new Error(`${name}: nameParts must be a list of word lists.`);
+  }
+  if (spec.descriptions !== undefined && !isStringList(spec.descriptions)) throw new Error(`${name}: descriptions must be a list of strings.`);
+  if (spec.ttlSeconds !== undefined && !(Array.isArray(spec.ttlSeconds) && spec.ttlSeconds.length > 0 && spec.ttlSeconds.every((n) => Number.isInteger(n) && n > 0))) {
+    throw new Error(`${name}: ttlSeconds must be a list of whole numbers > 0.`);
+  }
+
+  let images = [];
+  if (spec.imagesDir) {
+    const dir = path.resolve(path.dirname(file), String(spec.imagesDir));
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`${name}: imagesDir "${spec.imagesDir}" is not a directory.`);
+    images = fs.readdirSync(dir).filter((f) => TOKEN_IMAGE_TYPES[path.extname(f).toLowerCase()]).sort().map((f) => path.join(dir, f));
+    const tooBig = images.filter((f) => fs.statSync(f).size > TOKEN_IMAGE_MAX_BYTES);
+    for (const f of tooBig) logWarn(`${name}: skipping image ${path.basename(f)} (larger than ${TOKEN_IMAGE_MAX_BYTES / 1024} KB).`);
+    images = images.filter((f) => !tooBig.includes(f));
+    if (images.length === 0) logWarn(`${name}: no .png/.jpg/.gif/.webp images in ${dir}; tokens are created without one.`);
+  }
+  return {
+    tokens: (spec.tokens || []).map((t) => ({ name: t.name.trim(), ticker: typeof t.ticker === "string" ? t.ticker.trim().toUpperCase() : null })),
+    nameParts: spec.nameParts || [],
+    descriptions: spec.descriptions || null,
+    ttlSeconds: spec.ttlSeconds || null,
+    images,
+  };
+}
+
+// The token endpoint takes the image inline as a data URL
+function imageDataUrl(file) {
+  return `data:${TOKEN_IMAGE_TYPES[path.extname(file).toLowerCase()]};base64,${fs.readFileSync(file).toString("base64")}`;
+}
+
+// "Moon Cat" → "MCAT", "Quantum" → "QUAN"
+function tickerFromName(name) {
+  const words = name.toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  if (words.length === 0) return randomTicker();
+  if (words.length === 1) return words[0].slice(0, 4);
+  return (words.slice(0, -1).map((w) => w[0]).join("") + words[words.length - 1]).slice(0, 4);
+}
+
+// Builds create-token payloads for all accounts of a run.
+// next(index) → { payload, imageFile }; release(ticker) frees a ticker whose creation failed.
+function createTokenFactory(cfg, indexes) {
+  const needsTemplates = indexes.some((i) => getSettings(cfg, i).tradex.generator !== "random");
+  const spec = needsTemplates ? readTokenTemplates(TOKEN_TEMPLATES_PATH) : null;
+  const usedTickers = new Set(readJournal({ types: ["tradex.create"] }).filter((e) => e.ok && e.ticker).map((e) => String(e.ticker).toUpperCase()));
+  const pick = (list) => list[randInt(0, list.length - 1)];
+
+  // Ticker not used before; variations of the wanted one first, then random
+  const claimTicker = (wanted) => {
+    const candidates = wanted ? [wanted, ...Array.from({ length: 20 }, () => wanted.slice(0, 4) + randomLetters(1, true))] : [];
+    for (let n = 0; n < 50; n++) candidates.push(randomTicker());
+    const ticker = candidates.find((t) => !usedTickers.has(t)) || randomTicker();
+    usedTickers.add(ticker);
+    return ticker;
+  };
+
+  const nameFor = (generator) => {
+    if (generator === "list") {
+      if (spec.tokens.length === 0) throw new Error(`${path.basename(TOKEN_TEMPLATES_PATH)} has no "tokens" for generator "list".`);
+      const fresh = spec.tokens.filter((t) => !usedTickers.has(t.ticker || tickerFromName(t.name)));
+      const t = pick(fresh.length > 0 ? fresh : spec.tokens);
+      return { name: t.name, ticker: t.ticker || tickerFromName(t.name) };
+    }
+    if (generator === "words") {
+      if (spec.nameParts.length === 0) throw new Error(`${path.basename(TOKEN_TEMPLATES_PATH)} has no "nameParts" for generator "words".`);
+      const name = spec.nameParts.map(pick).join(" ");
+      return { name, ticker: tickerFromName(name) };
+    }
+    return { name: randomTradeXName(), ticker: null };
+  };
+
+  return {
+    next(index) {
+      const settings = getSettings(cfg, index).tradex;
+      const templated = settings.generator !== "random";
+      const { name, ticker: wanted } = nameFor(settings.generator);
+      const ticker = claimTicker(wanted);
+      const description = templated && spec.descriptions
+        ? pick(spec.descriptions).replace(/\{name\}/g, name).replace(/\{ticker\}/g, ticker)
+        : randomDescription(name, ticker);
+      const imageFile = templated && spec.images.length > 0 ? pick(spec.images) : null;
+      return {
+        payload: {
+          name,
+          ticker,
+          description,
+          ttlSeconds: templated && spec.ttlSeconds ? pick(spec.ttlSeconds) : settings.ttlSeconds,
+          image: imageFile ? imageDataUrl(imageFile) : null,
+        },
+        imageFile,
+      };
+    },
+    release: (ticker) => usedTickers.delete(ticker),
+  };
+}
+
+// round: { group, attempt } of the creation loop, recorded in the journal.
+// tokens: createTokenFactory() of the run. Resolves true when the token was created.
+async function createOneTokenForAccount(cfg, index, tokens, state, round = {}) {
   const label = cfg.accounts[index].label || `acc${index + 1}`;
-  let cookie = cfg.accounts[index].cookie || "";
+  const client = clientFor(cfg, index, state);
   let me;
   try {
-    const r = await ensureValidCookieForAccount(cfg, index);
-    cookie = r.cookie;
-    me = r.me;
+    me = await client.ensureValid();
   } catch (e) {
     logErr(`"${label}" cannot validate cookie: ${e.message}`);
-    return;
+    return false;
   }
   if (me?.user) printAccount(me.user, `TRADEX (${label})`);
 
-  const name = randomTradeXName();
-  const ticker = randomTicker();
-  const description = randomDescription(name, ticker);
+  const { payload, imageFile } = tokens.next(index);
+  const { name, ticker } = payload;
+  const image = imageFile ? path.basename(imageFile) : undefined;
 
-  const payload = {
-    name,
-    ticker,
-    description,
-    ttlSeconds: TRADEX_DEFAULT_TTL_SECONDS,
-    image: null,
-  };
-
-  let attempt = 0;
-  while (attempt < RATE_LIMIT_MAX_RETRY) {
-    attempt++;
-    try {
-      const res = await createTradeXToken(cookie, payload);
-      if (res?.success && res?.token) {
-        logOk(`"${label}" token created: id=${res.token.id} name=${res.token.name} ticker=${res.token.ticker} ttlSeconds=${res.token.ttlSeconds}`);
-      } else {
-        logWarn(`"${label}" token create returned success=false`);
-      }
-      return;
-    } catch (e) {
-      if (state.stopRequested) return;
-      if (e && e.code === "AUTH") {
-        const refreshed = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired while creating a token.`);
-        cookie = refreshed.cookie;
-        attempt--;
-        continue;
-      }
-      if (e && e.code === "RATE_LIMIT") {
-        const waitMs = e.waitMs ?? RATE_LIMIT_FALLBACK_WAIT_MS;
-        const raRaw = e.retryAfterRaw ? ` (Retry-After=${e.retryAfterRaw})` : "";
-        logWarn(`"${label}" HTTP 429. Waiting ${waitMs}ms${raRaw}, then retry (${attempt}/${RATE_LIMIT_MAX_RETRY})`);
-        await sleep(waitMs);
-        await sleepRandom(500, 1500, `"${label}" jitter`);
-        continue;
-      }
-      logWarn(`"${label}" token create failed: ${e.message}`);
-      return;
+  try {
+    const res = await client.createTradeXToken(payload);
+    journalAppend("tradex.create", label, { ok: !!(res?.success && res?.token), ...round, id: res?.token?.id ?? null, name, ticker, image });
+    if (res?.success && res?.token) {
+      logOk(`"${label}" token created: id=${res.token.id} name=${res.token.name} ticker=${res.token.ticker} ttlSeconds=${res.token.ttlSeconds}${image ? ` image=${image}` : ""}`);
+      return true;
     }
+    logWarn(`"${label}" token create returned success=false`);
+  } catch (e) {
+    journalAppend("tradex.create", label, { ok: false, ...round, name, ticker, image, error: e.message });
+    if (!state.stopRequested) logWarn(`"${label}" token create failed: ${e.message}`);
   }
+  tokens.release(ticker);
+  return false;
 }
 
 // ----- Mode 3: Lootboxes -----
-async function runLootboxForAccount(cfg, index) {
+async function promptLootboxGame() {
+  console.log("");
+  console.log(paint(C.bold, "Choose Lootbox Type:"));
+  console.log("1) TradeX Lootboxes");
+  console.log("2) SituationX Lootboxes");
+  const typeAns = await promptLine("Enter choice (1/2): ");
+  return typeAns === "1" ? "tradex" : "situationx";
+}
+
+// Boxes of one game as offered by the lootboxes endpoint: [{ id, name, price, emoji, available }].
+// Missing names/prices are filled from LOOTBOX_INFO; without a usable response LOOTBOX_INFO is used as is.
+function lootboxCatalog(res) {
+  const list = Array.isArray(res?.lootboxes) ? res.lootboxes : [];
+  const catalog = [];
+  for (const box of list) {
+    const id = Number(box?.id);
+    if (!Number.isInteger(id)) continue;
+    const known = LOOTBOX_INFO[id];
+    // A price of 0, a negative one or "" is not usable (plans divide by it): fall back to the built-in one
+    const price = [box.price, box.cost, known?.price].map(Number).find((p) => Number.isFinite(p) && p > 0);
+    if (price === undefined) continue;
+    catalog.push({
+      id,
+      name: typeof box.name === "string" && box.name.trim() ? box.name.trim() : known?.name || `Box #${id}`,
+      price,
+      emoji: known?.emoji || "🎁",
+      available: box.available !== false && box.enabled !== false && box.active !== false && box.soldOut !== true,
+    });
+  }
+  if (catalog.length > 0) return catalog.sort((a, b) => a.price - b.price || a.id - b.id);
+
+  logWarn("Lootbox list from the API is missing or incomplete; using the built-in Bronze/Silver/Gold prices.");
+  return Object.values(LOOTBOX_INFO).map((b) => ({ id: b.id, name: b.name, price: b.price, emoji: b.emoji, available: true }));
+}
+
+async function promptLootboxId(catalog) {
+  console.log("");
+  console.log(paint(C.bold, "Choose Lootbox:"));
+  for (const box of catalog) {
+    console.log(`${box.id}) ${box.emoji} ${box.name.padEnd(12)} ($${box.price})${box.available ? "" : paint(C.gray, " — unavailable")}`);
+  }
+
+  const ids = catalog.filter((b) => b.available).map((b) => b.id);
+  while (true) {
+    const ans = await promptLine(`Enter choice (${ids.join("/")}): `);
+    const lootboxId = parseInt(ans);
+    if (ids.includes(lootboxId)) return lootboxId;
+    logWarn(`Please choose ${ids.join(", ")} only!`);
+  }
+}
+
+async function promptLootboxRepeat() {
+  console.log("");
+  console.log(paint(C.bold, "Choose Mode:"));
+  console.log("1) Open once only");
+  console.log("2) Open repeatedly until balance is insufficient");
+  const modeAns = await promptLine("Enter choice (1/2): ");
+  return modeAns === "2";
+}
+
+// What Lootbox mode does for one account: command-line choices over settings.lootbox.
+// { game, boxId, repeat, maxOpens, maxSpend, reserve, stopAfterJackpot }; game, boxId and repeat
+// stay undefined when they have to be asked for.
+function lootboxPlan(cfg, index, cliOpts = {}) {
+  const s = getSettings(cfg, index).lootbox;
+  const game = cliOpts.game || (s.game !== "ask" ? s.game : undefined);
+  const boxId = cliOpts.boxId || s.boxId || undefined;
+  let repeat = cliOpts.repeat;
+  if (repeat === undefined && s.game !== "ask") repeat = true; // a configured strategy opens until a limit is hit
+  if (repeat === undefined && !runtime.interactive) repeat = false;
+  return { game, boxId, repeat, maxOpens: s.maxOpens, maxSpend: s.maxSpend, reserve: s.reserve, stopAfterJackpot: s.stopAfterJackpot };
+}
+
+const lootboxPlanComplete = (plan) => !!plan.game && !!plan.boxId && typeof plan.repeat === "boolean";
+
+// How many boxes a plan opens from this balance (prizes won on the way not counted)
+function plannedOpens(plan, price, balance) {
+  let n = Math.max(0, Math.floor((balance - plan.reserve) / price));
+  if (plan.maxSpend > 0) n = Math.min(n, Math.floor(plan.maxSpend / price));
+  if (plan.maxOpens > 0) n = Math.min(n, plan.maxOpens);
+  if (!plan.repeat) n = Math.min(n, 1);
+  return n;
+}
+
+// opts: lootboxPlan() — game, boxId and repeat are prompted for when missing
+async function runLootboxForAccount(cfg, index, opts = {}) {
   const label = cfg.accounts[index].label || `acc${index + 1}`;
   logInfo(`========== MODE: LOOTBOX | ACCOUNT: ${label} ==========`);
 
-  let { cookie, me } = await ensureValidCookieForAccount(cfg, index);
+  const client = clientFor(cfg, index);
+  const me = await client.ensureValid();
   printAccount(me.user, `LOOTBOX (${label})`);
 
   // Choose lootbox type: TradeX or SituationX
-  console.log("");
-  console.log(paint(C.bold, "Choose Lootbox Type:"));
-  console.log("1) TradeX Lootboxes");
-  console.log("2) SituationX Lootboxes");
-  const typeAns = await promptLine("Enter choice (1/2): ");
-  const isTradeX = typeAns === "1";
+  const game = opts.game || await promptLootboxGame();
+  const isTradeX = game === "tradex";
   const lootType = isTradeX ? "TradeX" : "SituationX";
-  const referer = isTradeX ? REFERER_TRADEX : REFERER_SITUATIONX;
   logInfo(`Selected: ${lootType} Lootboxes`);
 
   // Get lootboxes
   let lootRes;
   try {
-    lootRes = isTradeX ? await getLootboxes(cookie) : await getSituationXLootboxes(cookie);
+    lootRes = await client.getLootboxes(game);
   } catch (e) {
-    if (e.code === "AUTH") {
-      const ref = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired`);
-      cookie = ref.cookie;
-      return runLootboxForAccount(cfg, index); // retry
-    }
+    if (isAccountFatal(e)) throw e;
     logErr(`Failed to get lootboxes: ${e.message}`);
     return;
   }
 
-  const lootboxes = lootRes.lootboxes || [];
+  const catalog = lootboxCatalog(lootRes);
+  if (!catalog.some((b) => b.available)) {
+    logWarn(`No ${lootType} lootboxes are available right now.`);
+    return;
+  }
 
   // Choose lootbox
-  console.log("");
-  console.log(paint(C.bold, "Choose Lootbox:"));
-  console.log(`1) 🥉 Bronze  ($25)`);
-  console.log(`2) 🥈 Silver  ($60)`);
-  console.log(`3) 🥇 Gold    ($150)`);
-
-  let lootboxId;
-  while (true) {
-    const ans = await promptLine("Enter choice (1/2/3): ");
-    lootboxId = parseInt(ans);
-    if ([1, 2, 3].includes(lootboxId)) break;
-    logWarn("Please choose 1, 2 or 3 only!");
+  const lootboxId = opts.boxId || await promptLootboxId(catalog);
+  const lb = catalog.find((b) => b.id === lootboxId);
+  if (!lb) {
+    logErr(`There is no ${lootType} lootbox with id ${lootboxId} (available: ${catalog.map((b) => `${b.id}=${b.name}`).join(", ")}).`);
+    return;
   }
+  if (!lb.available) {
+    logWarn(`${lb.name} is not available right now.`);
+    return;
+  }
+  const repeat = typeof opts.repeat === "boolean" ? opts.repeat : await promptLootboxRepeat();
 
-  const lb = LOOTBOX_INFO[lootboxId];
-  console.log("");
-  console.log(paint(C.bold, "Choose Mode:"));
-  console.log("1) Open once only");
-  console.log("2) Open repeatedly until balance is insufficient");
-  const modeAns = await promptLine("Enter choice (1/2): ");
-  const isRepeat = modeAns === "2";
+  const opened = await openLootboxes(cfg, index, client, game, lb, { ...opts, repeat });
+  logOk(`"${label}" finished. Total opened: ${opened} ${lb.emoji}`);
+}
 
-  logInfo(`Target: ${lb.emoji} ${lb.name} | Mode: ${isRepeat ? "REPEAT" : "ONCE"}`);
+// Open box lb (from lootboxCatalog) on one account while the plan allows it; returns how many were opened.
+// plan: { repeat, maxOpens, maxSpend, reserve, stopAfterJackpot }. state makes the delays interruptible.
+async function openLootboxes(cfg, index, client, game, lb, plan, state = null) {
+  const label = accountLabel(cfg, index);
+  const { repeat, maxOpens = 0, maxSpend = 0, reserve = 0, stopAfterJackpot = false } = plan;
+  const limits = [
+    maxOpens > 0 && `max ${maxOpens} opens`,
+    maxSpend > 0 && `max spend ${maxSpend}`,
+    reserve > 0 && `reserve ${reserve}`,
+    stopAfterJackpot && "stop after jackpot",
+  ].filter(Boolean);
+  logInfo(`Target: ${lb.emoji} ${lb.name} | Mode: ${repeat ? "REPEAT" : "ONCE"}${limits.length ? ` | ${limits.join(", ")}` : ""}`);
 
   let opened = 0;
+  let spent = 0;
+  let jackpot = false;
+  // Auto-open runs as a scheduler job: other accounts' finished jobs must not cut this delay short
+  const betweenOpens = () => {
+    const delays = getSettings(cfg, index).lootbox;
+    return sleepRandom(delays.betweenOpensMinMs, delays.betweenOpensMaxMs, "Delay between opens", state, { stopOnly: true });
+  };
+
+  while (!state?.stopRequested) {
+    if (maxOpens > 0 && opened >= maxOpens) {
+      logInfo(`Reached max opens (${maxOpens}).`);
+      break;
+    }
+    if (maxSpend > 0 && spent + lb.price > maxSpend) {
+      logInfo(`Spend limit reached: ${spent} of ${maxSpend} spent, next box costs ${lb.price}.`);
+      break;
+    }
 
-  while (true) {
     // Check balance
     let balanceRes;
     try {
-      balanceRes = isTradeX ? await getTradeXBalance(cookie) : await getSituationXBalance(cookie);
+      balanceRes = await client.getBalance(game);
     } catch (e) {
-      if (e.code === "AUTH") {
-        const ref = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired`);
-        cookie = ref.cookie;
-        continue;
-      }
+      if (isAccountFatal(e)) throw e;
       logErr(`Failed to get balance: ${e.message}`);
       break;
     }
 
-    const bal = parseFloat(balanceRes?.balance || 0);
-    logInfo(`Current balance: ${paint(C.green, bal)} XAGE-USDT`);
+    // A dry run spends nothing, so take off what the previewed opens would have cost
+    const bal = parseFloat(balanceRes?.balance || 0) - (runtime.dryRun ? spent : 0);
+    logInfo(`Current balance: ${paint(C.green, bal)} XAGE-USDT${runtime.dryRun ? " (after the previewed opens)" : ""}`);
 
     if (bal < lb.price) {
       logWarn(`Balance not enough for ${lb.name} (${lb.price})`);
       break;
     }
+    if (bal - lb.price < reserve) {
+      logInfo(`Keeping the reserve of ${reserve}: opening ${lb.name} (${lb.price}) would leave ${bal - lb.price}.`);
+      break;
+    }
 
     // Open lootbox
     try {
-      const res = isTradeX ? await openLootbox(cookie, lootboxId) : await openSituationXLootbox(cookie, lootboxId);
+      const res = await client.openLootbox(game, lb.id);
       opened++;
+      spent += lb.price;
+      if (res?.dryRun) {
+        logInfo(`Dry run: ${lb.emoji} ${lb.name} not opened.`);
+        if (!repeat) break;
+        await betweenOpens();
+        continue;
+      }
+      journalAppend("lootbox.open", label, { ok: !!(res?.success && res.prize), game, lootboxId: lb.id, box: lb.name, price: lb.price, balance: bal, prize: res?.prize ?? null, wonUsdt: !!res?.meta?.wonUsdt });
 
       if (res?.success && res.prize) {
         const p = res.prize;
@@ -703,138 +2478,123 @@ async function runLootboxForAccount(cfg, index) {
 
         if (res.meta?.wonUsdt) {
           logOk(`   🎉 JACKPOT USDT!`);
+          jackpot = true;
+          notify("jackpot", label, `Won ${p.amount} ${String(p.type).toUpperCase()} from a ${game} ${lb.name}.`, { game, lootboxId: lb.id, prize: p });
         }
       } else {
         logWarn("Open returned success=false");
       }
     } catch (e) {
-      if (e.code === "AUTH") {
-        const ref = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired`);
-        cookie = ref.cookie;
-        continue;
-      }
-      if (e.code === "RATE_LIMIT") {
-        await sleep(e.waitMs || 8000);
-        continue;
-      }
+      if (isAccountFatal(e)) throw e;
+      journalAppend("lootbox.open", label, { ok: false, game, lootboxId: lb.id, box: lb.name, price: lb.price, balance: bal, error: e.message });
       logErr(`Error opening lootbox: ${e.message}`);
       break;
     }
 
-    if (!isRepeat) break;
+    if (!repeat) break;
+    if (jackpot && stopAfterJackpot) {
+      logInfo("Stopping after the USDT jackpot.");
+      break;
+    }
 
-    await sleepRandom(8000, 14000, "Delay between opens");
+    await betweenOpens();
   }
-
-  logOk(`"${label}" finished. Total opened: ${opened} ${lb.emoji}`);
+  return opened;
 }
 
-// ----- Mode 4: SituationX -----
-function loadSituations() {
-  if (!fs.existsSync(SITUATIONS_PATH)) {
-    logErr("situation.json not found! Please create it with an array of situations.");
-    process.exit(1);
-  }
+// Auto-open from the TradeX/SituationX loops: with settings.<game>.autoOpenBoxId set, after each
+// creation an account whose balance is above autoOpenAbove opens that box until only
+// autoOpenReserve would be left.
+async function autoOpenLootboxes(cfg, index, game, state) {
+  const s = getSettings(cfg, index)[game];
+  if (!s.autoOpenBoxId || state.stopRequested) return;
+  const label = accountLabel(cfg, index);
+  const client = clientFor(cfg, index, state);
   try {
-    const raw = fs.readFileSync(SITUATIONS_PATH, "utf8");
-    const situations = JSON.parse(raw);
-    if (!Array.isArray(situations) || situations.length === 0) {
-      logErr("situation.json must be an array of objects with question, outcomeA, outcomeB.");
-      process.exit(1);
+    const bal = parseFloat((await client.getBalance(game))?.balance || 0);
+    if (!(bal > s.autoOpenAbove)) return;
+    const lb = lootboxCatalog(await client.getLootboxes(game)).find((b) => b.id === s.autoOpenBoxId);
+    if (!lb?.available) {
+      logWarn(`"${label}" auto-open: lootbox ${s.autoOpenBoxId} is not available.`);
+      return;
     }
-    return situations;
+    logInfo(`"${label}" balance ${bal} is above ${s.autoOpenAbove}: auto-opening ${lb.emoji} ${lb.name}, keeping ${s.autoOpenReserve}.`);
+    const opened = await openLootboxes(cfg, index, client, game, lb, { repeat: true, reserve: s.autoOpenReserve }, state);
+    logOk(`"${label}" auto-open finished: ${opened} ${lb.emoji} opened.`);
   } catch (e) {
-    logErr(`Failed to load situation.json: ${e.message}`);
-    process.exit(1);
+    if (isAccountFatal(e)) throw e;
+    logWarn(`"${label}" auto-open failed: ${e.message}`);
   }
 }
 
-function selectUniqueRandomSituations(situations, numAccounts) {
-  if (situations.length < numAccounts) {
-    logWarn(`Not enough unique situations (${situations.length}) for ${numAccounts} accounts. Duplicates may occur.`);
-  }
-  const shuffled = [...situations].sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, numAccounts);
-}
-
-async function createOneSituationForAccount(cfg, index, payload, state) {
-  const label = cfg.accounts[index].label || `acc${index + 1}`;
-  let cookie = cfg.accounts[index].cookie || "";
-  let me;
-  try {
-    const r = await ensureValidCookieForAccount(cfg, index);
-    cookie = r.cookie;
-    me = r.me;
-  } catch (e) {
-    logErr(`"${label}" cannot validate cookie: ${e.message}`);
-    return;
-  }
-  if (me?.user) printAccount(me.user, `SITUATIONX (${label})`);
-
-  let attempt = 0;
-  while (attempt < RATE_LIMIT_MAX_RETRY) {
-    attempt++;
+// Lootbox dry run: fetch balance and box list, print what each account's plan would open
+async function previewLootboxPlans(cfg, indexes, plans) {
+  const rows = [];
+  for (const i of indexes) {
+    const label = accountLabel(cfg, i);
+    const plan = plans.get(i);
+    const client = clientFor(cfg, i);
     try {
-      const res = await createSituation(cookie, payload);
-      if (res?.success && res?.situation) {
-        logOk(`"${label}" situation created: id=${res.situation.id} question="${res.situation.question}"`);
-      } else {
-        logWarn(`"${label}" situation create returned success=false`);
-      }
-      return;
+      const catalog = lootboxCatalog(await client.getLootboxes(plan.game));
+      const box = catalog.find((b) => b.id === plan.boxId);
+      const balance = parseFloat((await client.getBalance(plan.game))?.balance || 0);
+      const n = box?.available ? plannedOpens(plan, box.price, balance) : 0;
+      rows.push([
+        label,
+        plan.game,
+        box ? `${box.emoji} ${box.name} (${box.price})` : `#${plan.boxId} (not offered)`,
+        balance,
+        plan.reserve || "-",
+        plan.maxSpend || "-",
+        plan.repeat ? plan.maxOpens || "-" : 1,
+        n,
+        box ? n * box.price : 0,
+      ]);
     } catch (e) {
-      if (state.stopRequested) return;
-      if (e && e.code === "AUTH") {
-        const refreshed = await refreshCookieForAccount(cfg, index, `"${label}" cookie expired while creating a situation.`);
-        cookie = refreshed.cookie;
-        attempt--;
-        continue;
-      }
-      if (e && e.code === "RATE_LIMIT") {
-        const waitMs = e.waitMs ?? RATE_LIMIT_FALLBACK_WAIT_MS;
-        const raRaw = e.retryAfterRaw ? ` (Retry-After=${e.retryAfterRaw})` : "";
-        logWarn(`"${label}" HTTP 429. Waiting ${waitMs}ms${raRaw}, then retry (${attempt}/${RATE_LIMIT_MAX_RETRY})`);
-        await sleep(waitMs);
-        await sleepRandom(500, 1500, `"${label}" jitter`);
-        continue;
-      }
-      logWarn(`"${label}" situation create failed: ${e.message}`);
-      return;
+      if (isAccountFatal(e)) logErr(`"${label}": ${e.message}`);
+      else logErr(`"${label}" preview failed: ${e.message}`);
+      rows.push([label, plan.game, `#${plan.boxId}`, "?", "-", "-", "-", "?", "?"]);
     }
   }
+  printTable(["account", "game", "box", "balance", "reserve", "max spend", "max opens", "would open", "would spend"], rows);
+  logInfo("Dry run: nothing was opened. Prizes won along the way are not counted.");
 }
 
-async function showBalancesForAllSTX(cfg, state) {
-  if (!TRADEX_DEFAULT_SHOW_BALANCE_EACH_CYCLE) return;
-  for (let i = 0; i < cfg.accounts.length; i++) {
-    if (state.stopRequested) return;
-    const label = cfg.accounts[i].label || `acc${i + 1}`;
-    let cookie = cfg.accounts[i].cookie || "";
-    try {
-      const r = await ensureValidCookieForAccount(cfg, i);
-      cookie = r.cookie;
-    } catch (e) {
-      logWarn(`"${label}" skip balance (cookie invalid): ${e.message}`);
-      continue;
-    }
-    try {
-      const b = await getSituationXBalance(cookie);
-      if (b?.success) logInfo(`"${label}" SituationX balance: ${b.balance}`);
-      else logWarn(`"${label}" balance returned success=false`);
-    } catch (e) {
-      if (e && e.code === "AUTH") {
-        await refreshCookieForAccount(cfg, i, `"${label}" cookie expired while fetching SituationX balance.`);
-      } else {
-        logWarn(`"${label}" failed to fetch SituationX balance: ${e.message}`);
-      }
-    }
+// ----- Resume after restart -----
+// Work out where an account's creation cycle left off from the journal: its latest creation
+// tells the group/attempt it belonged to and when it happened.
+// Returns { group, attempt, waitMinMs, waitMaxMs, last } where attempt is the last attempt done
+// in that group (creationsPerGroup = group finished). A fresh account, or one whose last creation
+// is older than the after-group delay, starts a new group right away.
+function resumePointFromJournal(game, label, settings) {
+  const entries = readJournal({ types: [`${game}.create`], accounts: [label] })
+    .filter((e) => Number.isInteger(e.group) && Number.isInteger(e.attempt));
+  if (entries.length === 0) return { group: 0, attempt: 0, waitMinMs: 0, waitMaxMs: 0, last: null };
+
+  const last = entries.reduce((a, b) => (Date.parse(b.ts) >= Date.parse(a.ts) ? b : a));
+  const perGroup = settings.creationsPerGroup;
+  const elapsed = Date.now() - Date.parse(last.ts);
+  if (!(elapsed >= 0) || elapsed >= settings.afterGroupMinMs) {
+    return { group: last.group, attempt: perGroup, waitMinMs: 0, waitMaxMs: 0, last };
   }
-}
 
-async function runSituationXAllAccountsForever(cfg) {
-  const state = { stopRequested: false };
+  const attempt = Math.min(last.attempt, perGroup);
+  const [min, max] = attempt >= perGroup
+    ? [settings.afterGroupMinMs, settings.afterGroupMaxMs]
+    : [settings.betweenCreationsMinMs, settings.betweenCreationsMaxMs];
+  return {
+    group: last.group,
+    attempt,
+    waitMinMs: Math.max(0, min - elapsed),
+    waitMaxMs: Math.max(0, max - elapsed),
+    last,
+  };
+}
 
+// ----- Scheduler -----
+function installStopHandler(state) {
   let forceQuit = false;
+  control.state = state;
   process.on("SIGINT", () => {
     if (forceQuit) {
       logErr("Force quit requested!");
@@ -846,197 +2606,1658 @@ async function runSituationXAllAccountsForever(cfg) {
       return;
     }
     state.stopRequested = true;
-    console.log("");
+    state.stopReason = "Ctrl+C";
+    if (logger.format === "text") console.log("");
     logWarn("Stop requested (Ctrl+C). Interrupting current delay and exiting soon...");
+    wakeSleepers(state);
   });
+}
 
-  const situations = loadSituations();
+// Runs the TradeX/SituationX group cycle for every account independently: each account does
+// creationsPerGroup creations spaced by betweenCreations*, then waits afterGroup* before its next
+// group, all taken from its own effective settings. The scheduler keeps each account's
+// next-eligible time (seeded from the journal) and starts whichever account is due first, with up
+// to settings.concurrency.accounts accounts working at once, so a slow or re-prompting account
+// only delays itself. Suspended accounts are skipped and re-checked every auth.recheckIntervalMs.
+// createOne resolves false for a failed creation; settings.notify.failureThreshold failures in a
+// row send a "creationFailures" notification. Accounts (or the whole loop) paused over the status
+// API are not started until resumed, and its "skip" makes the soonest account due right away.
+// opts: { game, title, state, createOne(index, round), afterCreate(index), showBalance(index) }
+async function runCreationScheduler(cfg, indexes, { game, title, state, createOne, afterCreate, showBalance }) {
+  const limit = getSettings(cfg).concurrency.accounts;
+  const now = Date.now();
+  const slots = indexes.map((index) => {
+    const label = accountLabel(cfg, index);
+    const settings = getSettings(cfg, index)[game];
+    const resume = resumePointFromJournal(game, label, settings);
+    if (resume.last) {
+      logInfo(`"${label}" resuming from journal: last creation was attempt ${resume.last.attempt}/${settings.creationsPerGroup} of group #${resume.last.group} at ${resume.last.ts}.`);
+    }
+    return {
+      index,
+      label,
+      group: resume.group,
+      attempt: resume.attempt,
+      failures: 0, // failed creations in a row
+      nextAt: now + scaledDelay(randInt(resume.waitMinMs, resume.waitMaxMs)),
+    };
+  });
 
-  logInfo(`SituationX mode: 3 situation creations per account per ~1 hour. Running forever until Ctrl+C. Loaded ${situations.length} situations.`);
-  let cycle = 0;
-  let groupNumber = 0;
+  const nextRound = (slot) => {
+    const perGroup = getSettings(cfg, slot.index)[game].creationsPerGroup;
+    const attempt = slot.attempt >= perGroup ? 1 : slot.attempt + 1;
+    return { perGroup, attempt, group: attempt === 1 ? slot.group + 1 : slot.group };
+  };
 
-  while (!state.stopRequested) {
-    cycle++;
-    const attemptInGroup = ((cycle - 1) % SITUATIONX_CREATIONS_PER_GROUP) + 1;
-    if (attemptInGroup === 1) {
-      groupNumber++;
-      logInfo(`========== NEW GROUP #${groupNumber} : Starting 3 situation creations ==========`);
+  const runSlot = (slot) => runForAccount(slot.label, async () => {
+    const settings = getSettings(cfg, slot.index)[game];
+    const { perGroup, attempt, group } = nextRound(slot);
+    if (attempt === 1) {
+      logInfo(`========== "${slot.label}" NEW GROUP #${group} : Starting ${perGroup} ${title} creations ==========`);
+    }
+    logInfo(`========== "${slot.label}" ${title.toUpperCase()} CREATION (attempt ${attempt}/${perGroup} in group ${group}) ==========`);
+    let created = null;
+    try {
+      created = await createOne(slot.index, { group, attempt });
+      if (!state.stopRequested && afterCreate) await afterCreate(slot.index);
+      if (!state.stopRequested && settings.showBalanceEachCycle) await showBalance(slot.index);
+    } catch (e) {
+      logErr(`"${slot.label}" ${title} creation failed: ${e.message}`);
+      created = created ?? false;
     }
-    logInfo(`========== SITUATION CREATION #${cycle} (attempt ${attemptInGroup}/${SITUATIONX_CREATIONS_PER_GROUP} in group ${groupNumber}) ==========`);
+    if (created) slot.failures = 0;
+    else if (created === false && !state.stopRequested) slot.failures++;
+    const { failureThreshold } = getSettings(cfg).notify;
+    if (slot.failures >= failureThreshold) {
+      notify("creationFailures", slot.label, `${slot.failures} ${title} creations in a row have failed.`, { game, failures: slot.failures });
+    }
+    slot.group = group;
+    slot.attempt = attempt;
+    slot.nextAt = Date.now() + scaledDelay(attempt < perGroup
+      ? randInt(settings.betweenCreationsMinMs, settings.betweenCreationsMaxMs)
+      : randInt(settings.afterGroupMinMs, settings.afterGroupMaxMs));
+  });
 
-    // Select unique random situations for this creation cycle across all accounts
-    const selectedSituations = selectUniqueRandomSituations(situations, cfg.accounts.length);
+  for (const slot of slots) {
+    if (isSuspended(cfg, slot.index)) logWarn(`"${slot.label}" is suspended (${cfg.accounts[slot.index].suspended.reason}) — waiting for a new cookie.`);
+  }
 
-    for (let i = 0; i < cfg.accounts.length; i++) {
-      if (state.stopRequested) break;
-      const payload = selectedSituations[i % selectedSituations.length]; // Fallback if fewer situations than accounts
-      await createOneSituationForAccount(cfg, i, payload, state);
+  const running = new Map(); // slot -> promise
+  control.schedule = () => new Map(slots.filter((s) => !running.has(s)).map((s) => [s.label, s.nextAt]));
+  let announced = null;
+  let nextRecheckAt = Date.now() + getSettings(cfg).auth.recheckIntervalMs;
+  while (!state.stopRequested && slots.length > 0) {
+    const anySuspended = slots.some((s) => isSuspended(cfg, s.index));
+    if (anySuspended && Date.now() >= nextRecheckAt) {
+      await resumeSuspendedAccounts(cfg);
+      nextRecheckAt = Date.now() + getSettings(cfg).auth.recheckIntervalMs;
+      continue;
     }
 
-    if (!state.stopRequested) {
-      await showBalancesForAllSTX(cfg, state);
+    const idle = control.paused ? [] : slots.filter((s) => !running.has(s) && !isSuspended(cfg, s.index) && !isPausedAccount(s.label));
+    if (running.size >= limit || (idle.length === 0 && running.size > 0)) {
+      await Promise.race(running.values());
+      continue;
+    }
+    if (idle.length === 0) {
+      // Everyone suspended or paused: woken by a resume over the status API
+      await sleepOrWake(anySuspended ? Math.max(0, nextRecheckAt - Date.now()) : PAUSED_RECHECK_MS, state, { onResume: true });
+      continue;
     }
 
-    if (!state.stopRequested) {
-      if (attemptInGroup < SITUATIONX_CREATIONS_PER_GROUP) {
-        await sleepRandom(
-          SITUATIONX_BETWEEN_CREATIONS_MIN_MS,
-          SITUATIONX_BETWEEN_CREATIONS_MAX_MS,
-          "Delay before next creation in group",
-          state
-        );
-      } else {
-        await sleepRandom(
-          AFTER_GROUP_MIN_MS,
-          AFTER_GROUP_MAX_MS,
-          "Delay ~1 hour before next group",
-          state
-        );
+    const slot = idle.reduce((a, b) => (b.nextAt < a.nextAt ? b : a));
+    if (state.skipDelay) {
+      state.skipDelay = false;
+      slot.nextAt = Math.min(slot.nextAt, Date.now());
+    }
+    const waitMs = slot.nextAt - Date.now();
+    if (waitMs > 0) {
+      const key = `${slot.index}@${slot.nextAt}`;
+      if (announced !== key) {
+        const { perGroup, attempt, group } = nextRound(slot);
+        logInfo(`Next: "${slot.label}" attempt ${attempt}/${perGroup} of group #${group} in: ${waitMs / 1000}s (interruptible)`);
+        announced = key;
       }
+      // Also woken when a running job finishes or an account is resumed (it may be due sooner);
+      // wake early to re-check suspended accounts
+      await sleepOrWake(anySuspended ? Math.min(waitMs, Math.max(0, nextRecheckAt - Date.now())) : waitMs, state, { onResume: true });
+      continue;
+    }
+
+    const job = runSlot(slot).finally(() => {
+      running.delete(slot);
+      wakeSleepers(state);
+    });
+    running.set(slot, job);
+  }
+  await Promise.all(running.values());
+  control.schedule = null;
+  notify("loopStopped", null, `${game === "tradex" ? "TradeX" : "SituationX"} loop stopped (${state.stopReason || "stop requested"}).`, { game });
+}
+
+// ----- Situations file -----
+// situation.json is JSON with comments (// and /* */) and trailing commas allowed:
+//   [{ "question": "...", "outcomeA": "Yes", "outcomeB": "No" }, ...]
+// Large lists can be plain text instead (chosen by file extension):
+//   .txt        one question per line, optionally "question | outcomeA | outcomeB"; # comments
+//   .csv/.tsv   question,outcomeA,outcomeB per row (header row optional)
+// Outcomes default to Yes/No when only the question is given.
+
+// Copy text, calling onCode(i) for every character outside JSON strings. onCode returns
+// [0] to keep the character, or [n, replacement] to emit replacement for the next n characters.
+function mapJsonCode(text, onCode) {
+  let out = "";
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === "\\") out += text[++i] ?? "";
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    const [skip, replacement] = onCode(i);
+    if (skip === 0) {
+      out += ch;
+    } else {
+      out += replacement;
+      i += skip - 1;
+    }
+  }
+  return out;
+}
+
+// Drop comments and trailing commas so JSON.parse accepts JSONC
+function stripJsonComments(text) {
+  const noComments = mapJsonCode(text, (i) => {
+    if (text[i] !== "/" || (text[i + 1] !== "/" && text[i + 1] !== "*")) return [0];
+    const end = text[i + 1] === "/" ? text.indexOf("\n", i) : text.indexOf("*/", i + 2) + 2;
+    const comment = text.slice(i, end <= i + 1 ? text.length : end);
+    return [comment.length, comment.replace(/[^\n]/g, " ")]; // blank it out: keeps JSON.parse positions
+  });
+  return mapJsonCode(noComments, (i) => (noComments[i] === "," && /^\s*[\]}]/.test(noComments.slice(i + 1)) ? [1, " "] : [0]));
+}
+
+// Split one CSV/TSV/text line on delim; "quoted" cells may contain the delimiter and "" quotes
+function splitDelimited(line, delim) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') cell += line[i++];
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (ch === delim) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+}
+
+// Entries of a situations file as [{ where, value }], where = "entry N" (JSON) or "line N" (text)
+function readSituationEntries(file) {
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === ".txt" || ext === ".csv" || ext === ".tsv") {
+    const delim = ext === ".csv" ? "," : ext === ".tsv" ? "\t" : "|";
+    const entries = [];
+    text.split(/\r?\n/).forEach((line, n) => {
+      if (!line.trim() || (ext === ".txt" && line.trim().startsWith("#"))) return;
+      const [question, outcomeA, outcomeB] = splitDelimited(line, delim);
+      if (n === 0 && ext !== ".txt" && question.toLowerCase() === "question") return; // header row
+      const yesNo = outcomeA === undefined && outcomeB === undefined;
+      entries.push({ where: `line ${n + 1}`, value: { question, outcomeA: yesNo ? "Yes" : outcomeA ?? "", outcomeB: yesNo ? "No" : outcomeB ?? "" } });
+    });
+    return entries;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(stripJsonComments(text));
+  } catch (e) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(data)) throw new Error(`${path.basename(file)} must be an array of { question, outcomeA, outcomeB } objects.`);
+  return data.map((value, n) => ({ where: `entry ${n + 1}`, value }));
+}
+
+// Why a situation can't be posted, or null when it is fine
+function situationProblem(s, limits) {
+  if (!isPlainObject(s)) return "not an object with question, outcomeA, outcomeB";
+  for (const key of ["question", "outcomeA", "outcomeB"]) {
+    if (typeof s[key] !== "string" || !s[key].trim()) return `${key} is empty`;
+  }
+  const question = s.question.trim();
+  if (question.length > limits.questionMaxLength) {
+    return `question is longer than ${limits.questionMaxLength} characters (${question.length})`;
+  }
+  for (const key of ["outcomeA", "outcomeB"]) {
+    if (s[key].trim().length > limits.outcomeMaxLength) return `${key} is longer than ${limits.outcomeMaxLength} characters`;
+  }
+  if (s.outcomeA.trim().toLowerCase() === s.outcomeB.trim().toLowerCase()) return "outcomeA and outcomeB are the same";
+  return null;
+}
+
+// Questions differing only in case or spacing count as duplicates
+const situationKey = (s) => s.question.trim().toLowerCase().replace(/\s+/g, " ");
+
+// Parse and validate a situations file.
+// Returns { situations, invalid: [{ where, problem }], duplicates: [{ where, firstAt }] }.
+function parseSituationsFile(file, limits) {
+  const situations = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Map(); // situationKey -> where it first appeared
+  for (const { where, value } of readSituationEntries(file)) {
+    const problem = situationProblem(value, limits);
+    if (problem) {
+      invalid.push({ where, problem });
+      continue;
+    }
+    const key = situationKey(value);
+    if (seen.has(key)) {
+      duplicates.push({ where, firstAt: seen.get(key) });
+      continue;
     }
+    seen.set(key, where);
+    situations.push({ question: value.question.trim(), outcomeA: value.outcomeA.trim(), outcomeB: value.outcomeB.trim() });
+  }
+  return { situations, invalid, duplicates };
+}
+
+const MAX_LISTED_LINES = 10;
+
+function situationProblemLines(name, { invalid, duplicates }) {
+  return [
+    ...invalid.map((p) => `${name} ${p.where}: ${p.problem}`),
+    ...duplicates.map((d) => `${name} ${d.where}: duplicate of ${d.firstAt}`),
+  ];
+}
+
+function loadSituations(cfg) {
+  const name = path.basename(SITUATIONS_PATH);
+  if (!fs.existsSync(SITUATIONS_PATH)) {
+    throw new Error(`${name} not found! Please create it with an array of situations.`);
   }
+  const parsed = parseSituationsFile(SITUATIONS_PATH, getSettings(cfg).situationx);
+  const problems = situationProblemLines(name, parsed);
+  for (const line of problems.slice(0, MAX_LISTED_LINES)) logWarn(line);
+  if (problems.length > MAX_LISTED_LINES) logWarn(`... and ${problems.length - MAX_LISTED_LINES} more (see: node index.js situations check)`);
+  if (parsed.situations.length === 0) throw new Error(`${name} has no usable situations.`);
+  if (problems.length > 0) {
+    logWarn(`Skipped ${parsed.invalid.length} invalid and ${parsed.duplicates.length} duplicate situation(s) in ${name}.`);
+  }
+  return parsed.situations;
+}
+
+// ----- Situation generator -----
+// Expands the question templates in situation-templates.json with words from its lists:
+//   { "lists": { "asset": ["Bitcoin", ...], ... },
+//     "templates": [{ "question": "Will {asset} outperform {asset2} until {date}?", "outcomeA": "{asset}", "outcomeB": "{asset2}" }] }
+// {name2}, {name3} ... pick further, different words from lists.name. {date} and {year} are built in.
+const MAX_GENERATED_SITUATIONS = 5000;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const formatDay = (d) => `${MONTHS[d.getMonth()]} ${d.getDate()}`;
+
+// Upcoming Fridays and month ends, e.g. "Friday, Oct 23" / "Oct 31"
+function builtinDates(now = new Date()) {
+  const out = [];
+  const friday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + ((12 - now.getDay()) % 7 || 7));
+  for (let i = 0; i < 4; i++) out.push(`Friday, ${formatDay(new Date(friday.getFullYear(), friday.getMonth(), friday.getDate() + 7 * i))}`);
+  for (let i = 1; i <= 3; i++) out.push(formatDay(new Date(now.getFullYear(), now.getMonth() + i, 0)));
+  return out;
+}
+
+function readSituationTemplates(file) {
+  const name = path.basename(file);
+  if (!fs.existsSync(file)) throw new Error(`${name} not found (needed to generate situations).`);
+  let spec;
+  try {
+    spec = JSON.parse(stripJsonComments(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON: ${e.message}`);
+  }
+  if (!isPlainObject(spec) || !Array.isArray(spec.templates) || spec.templates.length === 0) {
+    throw new Error(`${name} needs a non-empty "templates" array.`);
+  }
+  const lists = { date: builtinDates(), year: [String(new Date().getFullYear())] };
+  for (const [list, words] of Object.entries(spec.lists || {})) {
+    if (!Array.isArray(words) || !words.every((w) => typeof w === "string" && w.trim())) {
+      throw new Error(`${name}: lists.${list} must be an array of non-empty strings.`);
+    }
+    lists[list] = [...new Set(words.map((w) => w.trim()))];
+  }
+  spec.templates.forEach((t, n) => {
+    for (const key of ["question", "outcomeA", "outcomeB"]) {
+      if (typeof t?.[key] !== "string" || !t[key].trim()) throw new Error(`${name} template ${n + 1}: ${key} is missing.`);
+      for (const [, v] of t[key].matchAll(TEMPLATE_VAR)) {
+        if (!lists[listOfVar(v)]) throw new Error(`${name} template ${n + 1}: unknown list "${listOfVar(v)}".`);
+      }
+    }
+  });
+  return { templates: spec.templates, lists };
+}
+
+const TEMPLATE_VAR = /\{([a-zA-Z_]+?\d*)\}/g;
+const listOfVar = (v) => v.replace(/\d+$/, "");
+
+const templateVars = (template) => [...new Set(["question", "outcomeA", "outcomeB"].flatMap((k) => [...template[k].matchAll(TEMPLATE_VAR)].map((m) => m[1])))];
+
+function fillTemplate(template, chosen) {
+  const sub = (s) => s.replace(TEMPLATE_VAR, (_, v) => chosen[v]);
+  return { question: sub(template.question), outcomeA: sub(template.outcomeA), outcomeB: sub(template.outcomeB) };
+}
+
+// Every way to fill one template; variables drawn from the same list get distinct words
+function* templateFillings(template, lists) {
+  const vars = templateVars(template);
+  const fill = function* (i, chosen) {
+    if (i === vars.length) {
+      yield fillTemplate(template, chosen);
+      return;
+    }
+    const taken = vars.slice(0, i).filter((v) => listOfVar(v) === listOfVar(vars[i])).map((v) => chosen[v]);
+    for (const word of lists[listOfVar(vars[i])]) {
+      if (!taken.includes(word)) yield* fill(i + 1, { ...chosen, [vars[i]]: word });
+    }
+  };
+  yield* fill(0, {});
+}
+
+// `tries` random fillings of one template, for templates with too many combinations to list
+function* randomTemplateFillings(template, lists, tries) {
+  const vars = templateVars(template);
+  for (let n = 0; n < tries; n++) {
+    const chosen = {};
+    for (const v of vars) {
+      const taken = Object.keys(chosen).filter((c) => listOfVar(c) === listOfVar(v)).map((c) => chosen[c]);
+      const words = lists[listOfVar(v)].filter((w) => !taken.includes(w));
+      if (words.length === 0) return;
+      chosen[v] = words[randInt(0, words.length - 1)];
+    }
+    yield fillTemplate(template, chosen);
+  }
+}
+
+// Valid, distinct situations from the templates. When there are more than `limit`
+// combinations a random selection of `limit` is returned.
+function generateSituations(spec, limits, limit = MAX_GENERATED_SITUATIONS) {
+  const seen = new Set();
+  const out = [];
+  for (const template of spec.templates) {
+    const combinations = templateVars(template).reduce((n, v) => n * spec.lists[listOfVar(v)].length, 1);
+    const fillings = combinations > limit ? randomTemplateFillings(template, spec.lists, limit) : templateFillings(template, spec.lists);
+    for (const s of fillings) {
+      const key = situationKey(s);
+      if (seen.has(key) || situationProblem(s, limits)) continue;
+      seen.add(key);
+      out.push(s);
+    }
+  }
+  // Partial Fisher-Yates: the first `limit` entries become a uniform random selection
+  for (let i = 0; i < Math.min(limit, out.length); i++) {
+    const j = randInt(i, out.length - 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out.slice(0, limit);
+}
+
+// Situations for SituationX according to settings.situationx.source: "file", "generator" or "both"
+function loadSituationPool(cfg) {
+  const settings = getSettings(cfg).situationx;
+  const fromFile = settings.source === "generator" ? [] : loadSituations(cfg);
+  if (settings.source === "file") return fromFile;
+
+  const generated = generateSituations(readSituationTemplates(SITUATION_TEMPLATES_PATH), settings);
+  logInfo(`Generated ${generated.length} situations from ${path.basename(SITUATION_TEMPLATES_PATH)}.`);
+  const inFile = new Set(fromFile.map(situationKey));
+  const pool = [...fromFile, ...generated.filter((s) => !inFile.has(situationKey(s)))];
+  if (pool.length === 0) throw new Error("No situations to post.");
+  return pool;
+}
+
+// ----- Situation usage -----
+// Every situation posted so far, derived from successful "situationx.create" journal entries, so
+// restarts and other accounts never repost a question while unused ones are left. When the whole
+// pool has been used, settings.situationx.onExhausted decides: "stop" the loop, "recycle" (start a
+// new round, least-used questions first) or "warn" (like recycle, with a warning per repost).
+function situationUsageFromJournal() {
+  const usage = new Map(); // situationKey -> Map(account label -> times created)
+  for (const e of readJournal({ types: ["situationx.create"] })) {
+    if (!e.ok || typeof e.question !== "string" || !e.question.trim()) continue;
+    const key = situationKey(e);
+    if (!usage.has(key)) usage.set(key, new Map());
+    const byAccount = usage.get(key);
+    byAccount.set(e.account, (byAccount.get(e.account) || 0) + 1);
+  }
+  return usage;
+}
+
+const totalUses = (byAccount) => [...(byAccount?.values() || [])].reduce((a, b) => a + b, 0);
+
+// Hands out situations, least used first. take() counts a situation as used right away so
+// accounts running in parallel get different ones; release() undoes it when the creation failed.
+// Situations are kept in buckets by use count, so a take does not scan the whole pool (which
+// can be hundreds of thousands of lines from a .txt file).
+const PICK_SAMPLES = 20;
+
+function createSituationPicker(situations, onExhausted) {
+  const usage = situationUsageFromJournal();
+  let counts = new Map();
+  let buckets = new Map(); // use count -> { items: [situation], at: Map(situation -> position in items) }
+  let round = 0;
+
+  const put = (s, n) => {
+    if (!buckets.has(n)) buckets.set(n, { items: [], at: new Map() });
+    const b = buckets.get(n);
+    b.at.set(s, b.items.length);
+    b.items.push(s);
+  };
+  const drop = (s, n) => {
+    const b = buckets.get(n);
+    const i = b.at.get(s);
+    const last = b.items.pop();
+    if (last !== s) {
+      b.items[i] = last;
+      b.at.set(last, i);
+    }
+    b.at.delete(s);
+    if (b.items.length === 0) buckets.delete(n);
+  };
+  // (Re)build the buckets for a pool; usage (journal plus takes of this run) carries over
+  const load = (pool) => {
+    counts = new Map(pool.map((s) => [s, totalUses(usage.get(situationKey(s)))]));
+    buckets = new Map();
+    for (const [s, n] of counts) put(s, n);
+  };
+  load(situations);
+
+  const add = (s, label, n) => {
+    const key = situationKey(s);
+    if (!usage.has(key)) usage.set(key, new Map());
+    const byAccount = usage.get(key);
+    byAccount.set(label, (byAccount.get(label) || 0) + n);
+    if (!counts.has(s)) return; // taken from a pool that has been replaced since
+    const before = counts.get(s);
+    drop(s, before);
+    counts.set(s, before + n);
+    put(s, before + n);
+  };
+
+  return {
+    unused: () => buckets.get(0)?.items.length ?? 0,
+
+    // Next situation for this account, or null when the pool is used up and onExhausted is "stop"
+    take(label) {
+      let least = Infinity;
+      for (const n of buckets.keys()) if (n < least) least = n;
+      if (least > 0) {
+        if (onExhausted === "stop") return null;
+        if (least > round && onExhausted === "recycle") {
+          logInfo(`All ${situations.length} situations have been used; starting round ${least + 1} (least used first).`);
+        }
+        round = least;
+      }
+      // Prefer one this account has not posted: a few random draws usually find one
+      const candidates = buckets.get(least).items;
+      const notByMe = (s) => !usage.get(situationKey(s))?.get(label);
+      let pick = null;
+      for (let i = 0; i < PICK_SAMPLES && !pick; i++) {
+        const s = candidates[randInt(0, candidates.length - 1)];
+        if (notByMe(s)) pick = s;
+      }
+      if (!pick) {
+        const fresh = candidates.filter(notByMe);
+        const pool = fresh.length > 0 ? fresh : candidates;
+        pick = pool[randInt(0, pool.length - 1)];
+      }
+      if (least > 0 && onExhausted === "warn") {
+        logWarn(`Reposting "${pick.question}" (already used ${least}x) — all situations are used, add more to ${path.basename(SITUATIONS_PATH)}.`);
+      }
+      add(pick, label, 1);
+      return pick;
+    },
+
+    release: (s, label) => add(s, label, -1),
+
+    // Swap in a rebuilt pool (see runSituationXAllAccountsForever)
+    reset: load,
+  };
+}
+
+// ----- Mode 4: SituationX -----
+// round: { group, attempt } of the creation loop, recorded in the journal.
+// Resolves true when the situation was created.
+async function createOneSituationForAccount(cfg, index, payload, state, round = {}) {
+  const label = cfg.accounts[index].label || `acc${index + 1}`;
+  const client = clientFor(cfg, index, state);
+  let me;
+  try {
+    me = await client.ensureValid();
+  } catch (e) {
+    logErr(`"${label}" cannot validate cookie: ${e.message}`);
+    return false;
+  }
+  if (me?.user) printAccount(me.user, `SITUATIONX (${label})`);
+
+  try {
+    const res = await client.createSituation(payload);
+    journalAppend("situationx.create", label, { ok: !!(res?.success && res?.situation), ...round, id: res?.situation?.id ?? null, question: payload.question });
+    if (res?.success && res?.situation) {
+      logOk(`"${label}" situation created: id=${res.situation.id} question="${res.situation.question}"`);
+      return true;
+    }
+    logWarn(`"${label}" situation create returned success=false`);
+  } catch (e) {
+    journalAppend("situationx.create", label, { ok: false, ...round, question: payload.question, error: e.message });
+    if (!state.stopRequested) logWarn(`"${label}" situation create failed: ${e.message}`);
+  }
+  return false;
+}
+
+async function showBalancesForAllSTX(cfg, state, indexes) {
+  for (const i of indexes) {
+    if (state.stopRequested) return;
+    const label = cfg.accounts[i].label || `acc${i + 1}`;
+    const client = clientFor(cfg, i, state);
+    try {
+      await client.ensureValid();
+    } catch (e) {
+      logWarn(`"${label}" skip balance (cookie invalid): ${e.message}`);
+      continue;
+    }
+    try {
+      const b = await client.getBalance("situationx");
+      if (b?.success) logInfo(`"${label}" SituationX balance: ${b.balance}`);
+      else logWarn(`"${label}" balance returned success=false`);
+    } catch (e) {
+      logWarn(`"${label}" failed to fetch SituationX balance: ${e.message}`);
+    }
+  }
+}
+
+async function runSituationXAllAccountsForever(cfg, indexes = allAccountIndexes(cfg)) {
+  const state = { stopRequested: false };
+  installStopHandler(state);
+
+  let situations = loadSituationPool(cfg);
+  const { onExhausted, source } = getSettings(cfg).situationx;
+  const picker = createSituationPicker(situations, onExhausted);
+  logInfo(`SituationX mode: each account runs its own groups of situation creations. Running forever until Ctrl+C. Loaded ${situations.length} situations, ${picker.unused()} not used yet.`);
+
+  // Generated questions name upcoming dates ({date}, {year}); once those move on, generate
+  // the pool again so no question asks about a day that has already passed
+  let dates = builtinDates().join("|");
+  const refreshGenerated = () => {
+    if (source === "file" || builtinDates().join("|") === dates) return;
+    dates = builtinDates().join("|");
+    try {
+      situations = loadSituationPool(cfg);
+      picker.reset(situations);
+      logInfo(`Dates moved on: rebuilt the situation pool (${situations.length} situations, ${picker.unused()} not used yet).`);
+    } catch (e) {
+      logWarn(`Could not rebuild the situation pool, keeping the old one: ${e.message}`);
+    }
+  };
+
+  const createOne = async (i, round) => {
+    refreshGenerated();
+    const label = accountLabel(cfg, i);
+    const situation = picker.take(label);
+    if (!situation) {
+      if (!state.stopRequested) {
+        logErr(`All ${situations.length} situations have been used (settings.situationx.onExhausted = "stop"). Add more to ${path.basename(SITUATIONS_PATH)}.`);
+        state.stopRequested = true;
+        state.stopReason = "all situations have been used";
+        wakeSleepers(state);
+      }
+      return null;
+    }
+    const created = await createOneSituationForAccount(cfg, i, situation, state, round);
+    if (!created) picker.release(situation, label);
+    return created;
+  };
+
+  await runCreationScheduler(cfg, indexes, {
+    game: "situationx",
+    title: "situation",
+    state,
+    createOne,
+    afterCreate: (i) => autoOpenLootboxes(cfg, i, "situationx", state),
+    showBalance: (i) => showBalancesForAllSTX(cfg, state, [i]),
+  });
   logOk("SituationX stopped gracefully.");
 }
 
 // ----- TradeX loop -----
-async function showBalancesForAll(cfg, state) {
-  if (!TRADEX_DEFAULT_SHOW_BALANCE_EACH_CYCLE) return;
-  for (let i = 0; i < cfg.accounts.length; i++) {
+async function showBalancesForAll(cfg, state, indexes) {
+  for (const i of indexes) {
     if (state.stopRequested) return;
     const label = cfg.accounts[i].label || `acc${i + 1}`;
-    let cookie = cfg.accounts[i].cookie || "";
+    const client = clientFor(cfg, i, state);
     try {
-      const r = await ensureValidCookieForAccount(cfg, i);
-      cookie = r.cookie;
+      await client.ensureValid();
     } catch (e) {
       logWarn(`"${label}" skip balance (cookie invalid): ${e.message}`);
       continue;
     }
     try {
-      const b = await getTradeXBalance(cookie);
+      const b = await client.getBalance("tradex");
       if (b?.success) logInfo(`"${label}" TradeX balance: ${b.balance}`);
       else logWarn(`"${label}" balance returned success=false`);
     } catch (e) {
-      if (e && e.code === "AUTH") {
-        await refreshCookieForAccount(cfg, i, `"${label}" cookie expired while fetching TradeX balance.`);
-      } else {
-        logWarn(`"${label}" failed to fetch TradeX balance: ${e.message}`);
-      }
+      logWarn(`"${label}" failed to fetch TradeX balance: ${e.message}`);
     }
   }
 }
 
-async function runTradeXAllAccountsForever(cfg) {
+async function runTradeXAllAccountsForever(cfg, indexes = allAccountIndexes(cfg)) {
   const state = { stopRequested: false };
+  installStopHandler(state);
 
-  let forceQuit = false;
-  process.on("SIGINT", () => {
-    if (forceQuit) {
-      logErr("Force quit requested!");
-      process.exit(0);
+  const tokens = createTokenFactory(cfg, indexes);
+  logInfo("TradeX mode: each account runs its own groups of token creations. Running forever until Ctrl+C.");
+
+  await runCreationScheduler(cfg, indexes, {
+    game: "tradex",
+    title: "token",
+    state,
+    createOne: (i, round) => createOneTokenForAccount(cfg, i, tokens, state, round),
+    afterCreate: (i) => autoOpenLootboxes(cfg, i, "tradex", state),
+    showBalance: (i) => showBalancesForAll(cfg, state, [i]),
+  });
+  logOk("TradeX stopped gracefully.");
+}
+
+// ----- CLI -----
+const CLI_COMMANDS = {
+  tasks: "TASKS",
+  tradex: "TRADEX",
+  situationx: "SITUATIONX",
+  lootbox: "LOOTBOX",
+  accounts: "ACCOUNTS",
+  situations: "SITUATIONS",
+  report: "REPORT",
+};
+
+// Commands that run a mode ("MENU": no command, the mode is picked interactively)
+const MODE_COMMANDS = ["MENU", "TASKS", "TRADEX", "SITUATIONX", "LOOTBOX"];
+
+const CLI_USAGE = `Usage: node index.js [command] [options]
+
+Without a command the interactive menu is shown.
+
+Commands:
+  tasks                     Complete pending tasks (filtered by settings.tasks)
+  tradex                    TradeX token creations (runs until Ctrl+C)
+  situationx                SituationX creations (runs until Ctrl+C)
+  lootbox                   Open lootboxes
+  accounts [list]           List accounts with status and last verification
+  accounts verify [label..] Check every (or the given) account's cookie via /auth/me
+  accounts add              Add an account (--label, --cookie)
+  accounts import <path>    Add accounts from a cookies.txt / JSON cookie export,
+                            or from every such file in a directory
+  accounts reauth <label>   Set a new cookie (--cookie or prompt) and lift a suspension
+  accounts enable <label..> Include accounts in every mode again
+  accounts disable <label..>
+                            Skip accounts in every mode
+  accounts remove <label..> Delete accounts from config.json (asks unless --yes)
+  accounts relabel <label> <new-label>
+                            Rename an account (journal entries follow)
+  accounts encrypt          Encrypt the cookies in config.json with a passphrase
+                            (XAGE_PASSPHRASE or prompt); run again to change it
+  accounts decrypt          Store the cookies in plain text again
+  situations check          Validate situation.json and list bad or duplicate entries
+  situations report         Show how many situations each account has posted and
+                            which ones are still unused
+  report lootbox            Lootbox prize ledger: prize distribution, average return
+                            and jackpot rate per box, totals per account
+                            (--account and --type filter it)
+  report history            Points and balance growth per account and in total as
+                            CSV + HTML with charts (--from, --to, --account, --out)
+  situations generate       Add situations built from situation-templates.json to
+                            situation.json (--count, default 100)
+
+Options:
+  -a, --account <sel>       Only use these accounts (label or 1-based number,
+                            repeatable or comma separated). Default: all
+  -t, --type <game>         Lootbox type: tradex | situationx
+  -b, --box <id>            Lootbox id as listed by the site, e.g. 1 (Bronze) |
+                            2 (Silver) | 3 (Gold)
+      --once                Open one lootbox per account (default with --yes
+                            unless settings.lootbox.game is set)
+      --repeat              Open lootboxes until the balance (or a limit in
+                            settings.lootbox) runs out
+      --dry-run             Read-only run of tasks/tradex/situationx/lootbox (or the
+                            menu): GET requests are made, every other request is
+                            only printed (URL, headers without the cookie,
+                            payload) and nothing is journaled. lootbox prints how
+                            many boxes each account would open
+      --speed <n>           With --dry-run: make every delay n times shorter
+      --watch               tasks: keep running and re-check for new tasks every
+                            settings.tasks.watchIntervalMs (Ctrl+C to stop)
+      --label <label>       Label for "accounts add"/"import"
+      --cookie <cookie>     Cookie for "accounts add"/"reauth": header string or
+                            path to a cookies.txt / JSON export
+      --count <n>           Number of situations for "situations generate"
+      --from <date>         "report history": first day, e.g. 2026-01-01
+      --to <date>           "report history": last day (default: last sample)
+      --out <dir>           "report history": where to write the files (default:
+                            next to config.json)
+      --log-level <level>   debug | info | warn | error (default: settings.log.level)
+      --log-json            Log lines as JSON objects, one per line
+      --log-file <path>     Also write the log to this file (settings.log.file)
+      --status-port <port>  Serve the status API on this port (settings.api.port)
+  -y, --yes                 Never prompt; fail instead of asking for input
+  -h, --help                Show this help`;
+
+function printUsage() {
+  console.log(CLI_USAGE);
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      account: { type: "string", short: "a", multiple: true },
+      type: { type: "string", short: "t" },
+      box: { type: "string", short: "b" },
+      once: { type: "boolean" },
+      repeat: { type: "boolean" },
+      label: { type: "string" },
+      cookie: { type: "string" },
+      count: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      out: { type: "string" },
+      "dry-run": { type: "boolean" },
+      speed: { type: "string" },
+      "log-level": { type: "string" },
+      "log-json": { type: "boolean" },
+      "log-file": { type: "string" },
+      watch: { type: "boolean" },
+      "status-port": { type: "string" },
+      yes: { type: "boolean", short: "y" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+  if (command && !CLI_COMMANDS[command]) throw new Error(`Unknown command "${command}".`);
+
+  const cli = {
+    command: command ? CLI_COMMANDS[command] : null,
+    args: rest,
+    accounts: values.account || [],
+    yes: !!values.yes,
+    help: !!values.help,
+    label: values.label,
+    cookie: values.cookie,
+    dryRun: !!values["dry-run"],
+    watch: !!values.watch,
+    logLevel: values["log-level"],
+    logJson: !!values["log-json"],
+    logFile: values["log-file"],
+    lootbox: {},
+  };
+
+  if (!["ACCOUNTS", "SITUATIONS", "REPORT"].includes(cli.command) && rest.length > 0) {
+    throw new Error(`Unexpected argument "${rest[0]}".`);
+  }
+  // The menu asks for all of these itself
+  if (!cli.command) {
+    const flag = ["yes", "account", "type", "box", "once", "repeat"].find((k) => values[k] !== undefined);
+    if (flag) throw new Error(`--${flag} needs a command (e.g. "node index.js tasks --${flag} ..."); the menu asks instead.`);
+  }
+
+  if (cli.logLevel !== undefined && !LOG_LEVELS[cli.logLevel]) {
+    throw new Error(`--log-level must be one of ${Object.keys(LOG_LEVELS).join(", ")}, got "${cli.logLevel}".`);
+  }
+  if (values.type !== undefined) {
+    const game = values.type.toLowerCase();
+    if (game !== "tradex" && game !== "situationx") throw new Error(`--type must be "tradex" or "situationx", got "${values.type}".`);
+    cli.lootbox.game = game;
+  }
+  if (values.box !== undefined) {
+    const boxId = Number(values.box);
+    if (!Number.isInteger(boxId) || boxId < 1) throw new Error(`--box must be a lootbox id (e.g. 1, 2 or 3), got "${values.box}".`);
+    cli.lootbox.boxId = boxId;
+  }
+  if (values.count !== undefined) {
+    const n = Number(values.count);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`--count must be a whole number >= 1, got "${values.count}".`);
+    cli.count = n;
+  }
+  if (values.speed !== undefined) {
+    const n = Number(values.speed);
+    if (!(n >= 1)) throw new Error(`--speed must be a number >= 1, got "${values.speed}".`);
+    if (!cli.dryRun) throw new Error("--speed only works together with --dry-run.");
+    cli.speed = n;
+  }
+  for (const key of ["from", "to"]) {
+    if (values[key] === undefined) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values[key]) || isoDay(Date.parse(values[key]) || 0) !== values[key]) {
+      throw new Error(`--${key} must be a date like 2026-01-31, got "${values[key]}".`);
     }
-    if (state.stopRequested) {
-      forceQuit = true;
-      logWarn("Second Ctrl+C detected → force quit!");
-      return;
+    cli[key] = values[key];
+  }
+  if (values["status-port"] !== undefined) {
+    const port = Number(values["status-port"]);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`--status-port must be a port number 1-65535, got "${values["status-port"]}".`);
+    if (!MODE_COMMANDS.includes(cli.command ?? "MENU")) throw new Error("--status-port only works with the tasks, tradex, situationx and lootbox commands.");
+    cli.statusPort = port;
+  }
+  if (cli.from && cli.to && cli.from > cli.to) throw new Error("--from is after --to.");
+  cli.out = values.out;
+  if (values.once && values.repeat) throw new Error("--once and --repeat cannot be used together.");
+  if (values.once) cli.lootbox.repeat = false;
+  if (values.repeat) cli.lootbox.repeat = true;
+
+  if (cli.watch && cli.command !== "TASKS") throw new Error("--watch only works with the tasks command.");
+  if (cli.dryRun && !MODE_COMMANDS.includes(cli.command ?? "MENU")) {
+    throw new Error("--dry-run only works with the tasks, tradex, situationx and lootbox commands.");
+  }
+  return cli;
+}
+
+// ----- Accounts command -----
+const visibleLength = (s) => stripAnsi(s).length;
+const padCell = (s, width) => String(s) + " ".repeat(Math.max(0, width - visibleLength(s)));
+
+function printTable(headers, rows) {
+  const widths = headers.map((h, c) => Math.max(visibleLength(h), ...rows.map((r) => visibleLength(r[c]))));
+  const line = (cells) => cells.map((cell, c) => padCell(cell, widths[c])).join("  ").trimEnd();
+  console.log(paint(C.bold, line(headers)));
+  console.log(paint(C.gray, widths.map((w) => "-".repeat(w)).join("  ")));
+  for (const r of rows) console.log(line(r));
+}
+
+function accountStatus(a) {
+  if (a.disabled) return paint(C.gray, "disabled");
+  if (a.suspended) return paint(C.red, "suspended");
+  if (!a.cookie) return paint(C.yellow, "no cookie");
+  return paint(C.green, "active");
+}
+
+function lastVerifiedText(a) {
+  const v = a.lastVerified;
+  if (!v) return paint(C.gray, "never");
+  return `${v.at} ${v.ok ? paint(C.green, "ok") : paint(C.red, v.error || "failed")}`;
+}
+
+function printAccountsList(cfg) {
+  if (cfg.accounts.length === 0) {
+    logWarn("No accounts configured. Add one with: node index.js accounts add");
+    return;
+  }
+  printTable(
+    ["#", "label", "status", "xHandle", "last verified"],
+    cfg.accounts.map((a, i) => [String(i + 1), paint(C.bold, a.label), accountStatus(a), a.lastVerified?.xHandle ?? "-", lastVerifiedText(a)])
+  );
+  for (const a of cfg.accounts) {
+    if (a.suspended) logWarn(`"${a.label}" suspended since ${a.suspended.at}: ${a.suspended.reason}`);
+  }
+}
+
+// Bulk health check: /auth/me for every selected account, results stored as lastVerified
+async function verifyAccounts(cfg, indexes) {
+  const rows = new Map();
+  await runPool(indexes, getSettings(cfg).concurrency.accounts, async (i) => {
+    const acc = cfg.accounts[i];
+    let result;
+    try {
+      if (!acc.cookie) throw new Error("no cookie");
+      const me = await getMe(acc.cookie);
+      if (!me?.success || !me?.user) throw new Error("Invalid /auth/me response.");
+      recordSample(acc.label, "points", me.user.points);
+      result = { ok: true, xHandle: me.user.xHandle ?? null, accountAge: me.user.accountAge ?? null, points: me.user.points ?? null };
+    } catch (e) {
+      result = { ok: false, error: e.code === "AUTH" ? "cookie invalid/expired" : e.message };
     }
-    state.stopRequested = true;
-    console.log("");
-    logWarn("Stop requested (Ctrl+C). Interrupting current delay and exiting soon...");
+    acc.lastVerified = { at: new Date().toISOString(), ...result };
+    rows.set(i, [
+      String(i + 1),
+      paint(C.bold, acc.label),
+      result.xHandle ?? "-",
+      String(result.accountAge ?? "-"),
+      String(result.points ?? "-"),
+      result.ok ? paint(C.green, "yes") : paint(C.red, `no (${result.error})`),
+    ]);
   });
+  saveConfig(cfg);
+  printTable(["#", "label", "xHandle", "accountAge", "points", "cookie valid"], indexes.map((i) => rows.get(i)));
+  const bad = indexes.filter((i) => !cfg.accounts[i].lastVerified.ok).length;
+  if (bad > 0) logWarn(`${bad}/${indexes.length} account(s) failed verification.`);
+  else logOk(`All ${indexes.length} account(s) verified.`);
+}
 
-  logInfo("TradeX mode: 2 token creations per account per ~1 hour. Running forever until Ctrl+C.");
-  let cycle = 0;
-  let groupNumber = 0;
+// Accounts named as positional arguments (after the subcommand) and/or with --account
+function accountArgs(cfg, cli, usage) {
+  const selectors = [...cli.args.slice(1), ...cli.accounts];
+  if (selectors.length === 0) throw new Error(`Usage: ${usage}`);
+  return resolveAccountIndexes(cfg, selectors);
+}
 
-  while (!state.stopRequested) {
-    cycle++;
-    const attemptInGroup = ((cycle - 1) % TRADEX_CREATIONS_PER_GROUP) + 1;
-    if (attemptInGroup === 1) {
-      groupNumber++;
-      logInfo(`========== NEW GROUP #${groupNumber} : Starting 2 token creations ==========`);
+const ACCOUNT_COMMANDS = {
+  async list(cfg) {
+    printAccountsList(cfg);
+  },
+
+  async add(cfg, cli) {
+    const defaultLabel = `acc${cfg.accounts.length + 1}`;
+    const label = cli.label || (runtime.interactive ? await promptLabel(defaultLabel) : defaultLabel);
+    if (cfg.accounts.some((a) => a.label === label)) throw new Error(`Account "${label}" already exists.`);
+    const cookie = (cli.cookie ? cookieFromInput(cli.cookie) : await promptCookie(`Adding account "${label}".`)).trim();
+    if (!cookie) throw new Error("Cookie cannot be empty.");
+    cfg.accounts.push({ label, cookie });
+    saveConfig(cfg);
+    logOk(`Added account "${label}" to config.json.`);
+  },
+
+  async reauth(cfg, cli) {
+    const [index] = accountArgs(cfg, cli, "accounts reauth <label> [--cookie ...]");
+    const label = accountLabel(cfg, index);
+    const cookie = (cli.cookie ? cookieFromInput(cli.cookie) : await promptCookie(`New cookie for "${label}".`)).trim();
+    if (!cookie) throw new Error("Cookie cannot be empty.");
+    const me = await getMe(cookie); // AUTH error → cookie rejected, nothing saved
+    if (!me?.success || !me?.user) throw new Error("Invalid /auth/me response.");
+    delete cfg.accounts[index].suspended;
+    setAccountCookie(cfg, index, cookie);
+    printAccount(me.user, `REAUTH (${label})`);
+    logOk(`Saved new cookie for "${label}" to config.json; account is active.`);
+  },
+
+  // Import one export file, or every file in a directory (label = file name without extension).
+  // An existing label gets its cookie replaced (and any suspension lifted).
+  async import(cfg, cli) {
+    const target = cli.args[1];
+    if (!target) throw new Error("Usage: accounts import <file|directory> [--label <label>]");
+    if (!fs.existsSync(target)) throw new Error(`"${target}" does not exist.`);
+    const isDir = fs.statSync(target).isDirectory();
+    if (isDir && cli.label) throw new Error("--label only works when importing a single file.");
+    const files = isDir
+      ? fs.readdirSync(target).filter((f) => !f.startsWith(".")).sort().map((f) => path.join(target, f)).filter((f) => fs.statSync(f).isFile())
+      : [target];
+
+    let added = 0;
+    let updated = 0;
+    for (const file of files) {
+      const name = path.basename(file);
+      let parsed;
+      try {
+        parsed = parseCookieText(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        logWarn(`${name}: skipped, cannot parse (${e.message}).`);
+        continue;
+      }
+      warnCookieProblems(parsed, name);
+      if (!parsed.cookie) continue;
+
+      const label = cli.label || path.basename(file, path.extname(file));
+      const existing = cfg.accounts.findIndex((a) => a.label === label);
+      if (existing === -1) {
+        cfg.accounts.push({ label, cookie: parsed.cookie });
+        added++;
+        logOk(`${name}: added "${label}" (${parsed.names.join(", ")}).`);
+      } else {
+        cfg.accounts[existing].cookie = parsed.cookie;
+        delete cfg.accounts[existing].suspended;
+        updated++;
+        logOk(`${name}: updated cookie of "${label}".`);
+      }
+    }
+    saveConfig(cfg);
+    logOk(`Import finished: ${added} added, ${updated} updated.`);
+  },
+
+  // Migrate config.json to encrypted cookies (or re-encrypt with a new passphrase)
+  async encrypt(cfg) {
+    let passphrase = process.env.XAGE_PASSPHRASE;
+    if (!passphrase) {
+      passphrase = await promptSecret("New passphrase: ");
+      if (passphrase !== await promptSecret("Repeat passphrase: ")) throw new Error("Passphrases do not match.");
     }
-    logInfo(`========== TOKEN CREATION #${cycle} (attempt ${attemptInGroup}/${TRADEX_CREATIONS_PER_GROUP} in group ${groupNumber}) ==========`);
+    if (!passphrase) throw new Error("Passphrase cannot be empty.");
+    const again = !!cfg.encryption;
+    enableCookieEncryption(cfg, passphrase);
+    logOk(`${again ? "Re-encrypted" : "Encrypted"} ${cfg.accounts.length} cookie(s) in config.json. Keep the passphrase: without it the cookies are lost.`);
+  },
+
+  async decrypt(cfg) {
+    if (!cfg.encryption) throw new Error("Cookies in config.json are not encrypted.");
+    disableCookieEncryption(cfg);
+    logOk("config.json cookies are stored in plain text again.");
+  },
+
+  async verify(cfg, cli) {
+    const selectors = [...cli.args.slice(1), ...cli.accounts];
+    await verifyAccounts(cfg, resolveAccountIndexes(cfg, selectors));
+  },
 
-    for (let i = 0; i < cfg.accounts.length; i++) {
-      if (state.stopRequested) break;
-      await createOneTokenForAccount(cfg, i, state);
+  async enable(cfg, cli) {
+    for (const i of accountArgs(cfg, cli, "accounts enable <label...>")) {
+      delete cfg.accounts[i].disabled;
+      logOk(`Enabled "${accountLabel(cfg, i)}".`);
     }
+    saveConfig(cfg);
+  },
 
-    if (!state.stopRequested) {
-      await showBalancesForAll(cfg, state);
+  async disable(cfg, cli) {
+    for (const i of accountArgs(cfg, cli, "accounts disable <label...>")) {
+      cfg.accounts[i].disabled = true;
+      logOk(`Disabled "${accountLabel(cfg, i)}"; every mode will skip it.`);
     }
+    saveConfig(cfg);
+  },
 
-    if (!state.stopRequested) {
-      if (attemptInGroup < TRADEX_CREATIONS_PER_GROUP) {
-        await sleepRandom(
-          TRADEX_BETWEEN_CREATIONS_MIN_MS,
-          TRADEX_BETWEEN_CREATIONS_MAX_MS,
-          "Delay before next creation in group",
-          state
-        );
-      } else {
-        await sleepRandom(
-          AFTER_GROUP_MIN_MS,
-          AFTER_GROUP_MAX_MS,
-          "Delay ~1 hour before next group",
-          state
-        );
+  async remove(cfg, cli) {
+    const indexes = accountArgs(cfg, cli, "accounts remove <label...>");
+    const labels = indexes.map((i) => accountLabel(cfg, i));
+    if (!cli.yes && !(await promptYesNo(`Remove ${labels.map((l) => `"${l}"`).join(", ")} from config.json?`, false))) {
+      logInfo("Nothing removed.");
+      return;
+    }
+    cfg.accounts = cfg.accounts.filter((_, i) => !indexes.includes(i));
+    saveConfig(cfg);
+    logOk(`Removed ${labels.map((l) => `"${l}"`).join(", ")}.`);
+  },
+
+  async relabel(cfg, cli) {
+    const [, from, to] = cli.args;
+    if (!from || !to) throw new Error("Usage: accounts relabel <label> <new-label>");
+    const [index] = resolveAccountIndexes(cfg, [from]);
+    const oldLabel = accountLabel(cfg, index);
+    const newLabel = to.trim();
+    if (!newLabel) throw new Error("New label cannot be empty.");
+    if (cfg.accounts.some((a, i) => i !== index && a.label === newLabel)) throw new Error(`Account "${newLabel}" already exists.`);
+    cfg.accounts[index].label = newLabel;
+    saveConfig(cfg);
+    const moved = relabelJournal(oldLabel, newLabel);
+    relabelJournal(oldLabel, newLabel, HISTORY_PATH);
+    logOk(`Renamed "${oldLabel}" to "${newLabel}"${moved ? ` (${moved} journal entries updated)` : ""}.`);
+  },
+};
+
+async function runAccountsCommand(cfg, cli) {
+  const [sub = "list"] = cli.args;
+  const command = ACCOUNT_COMMANDS[sub];
+  if (!command) throw new Error(`Unknown accounts command "${sub}". Use one of: ${Object.keys(ACCOUNT_COMMANDS).join(", ")}.`);
+  await command(cfg, cli);
+}
+
+// ----- Situations command -----
+const SITUATION_COMMANDS = {
+  async check(cfg) {
+    const name = path.basename(SITUATIONS_PATH);
+    if (!fs.existsSync(SITUATIONS_PATH)) throw new Error(`${name} not found.`);
+    const { situations, invalid, duplicates } = parseSituationsFile(SITUATIONS_PATH, getSettings(cfg).situationx);
+    for (const line of situationProblemLines(name, { invalid, duplicates })) logWarn(line);
+    const summary = `${name}: ${situations.length} usable, ${invalid.length} invalid, ${duplicates.length} duplicate(s).`;
+    if (situations.length === 0) throw new Error(summary);
+    (invalid.length || duplicates.length ? logWarn : logOk)(summary);
+  },
+
+  // Add generated situations to situation.json (or the .txt/.csv file XAGE_SITUATIONS points at)
+  async generate(cfg, cli) {
+    const name = path.basename(SITUATIONS_PATH);
+    const limits = getSettings(cfg).situationx;
+    const existing = fs.existsSync(SITUATIONS_PATH) ? parseSituationsFile(SITUATIONS_PATH, limits) : null;
+    const known = new Set((existing?.situations || []).map(situationKey));
+    const fresh = generateSituations(readSituationTemplates(SITUATION_TEMPLATES_PATH), limits)
+      .filter((s) => !known.has(situationKey(s)))
+      .slice(0, cli.count ?? 100);
+    if (fresh.length === 0) {
+      logWarn(`No new situations: every combination from ${path.basename(SITUATION_TEMPLATES_PATH)} is already in ${name}.`);
+      return;
+    }
+
+    const ext = path.extname(SITUATIONS_PATH).toLowerCase();
+    if (ext === ".txt" || ext === ".csv" || ext === ".tsv") {
+      const delim = ext === ".csv" ? "," : ext === ".tsv" ? "\t" : " | ";
+      const cell = (s) => (ext === ".csv" && /[",]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+      const prefix = existing && !fs.readFileSync(SITUATIONS_PATH, "utf8").endsWith("\n") ? "\n" : "";
+      fs.appendFileSync(SITUATIONS_PATH, prefix + fresh.map((s) => [s.question, s.outcomeA, s.outcomeB].map(cell).join(delim) + "\n").join(""), "utf8");
+    } else {
+      // Rewritten as plain JSON: comments and invalid entries of the old file are not kept
+      if (existing && (existing.invalid.length || existing.duplicates.length)) {
+        logWarn(`Dropping ${existing.invalid.length} invalid and ${existing.duplicates.length} duplicate entries from ${name}.`);
       }
+      atomicWriteJson(SITUATIONS_PATH, [...(existing?.situations || []), ...fresh]);
     }
+    logOk(`Added ${fresh.length} generated situations to ${name} (${known.size + fresh.length} in total).`);
+  },
+
+  // How much of situation.json has been posted, overall and per account
+  async report(cfg) {
+    const situations = loadSituationPool(cfg);
+    const usage = situationUsageFromJournal();
+    const inFile = new Set(situations.map(situationKey));
+    const unused = situations.filter((s) => !usage.has(situationKey(s)));
+
+    const perAccount = new Map(); // label -> { created, distinct }
+    for (const [key, byAccount] of usage) {
+      if (!inFile.has(key)) continue;
+      for (const [label, n] of byAccount) {
+        const row = perAccount.get(label) || { created: 0, distinct: 0 };
+        row.created += n;
+        row.distinct += 1;
+        perAccount.set(label, row);
+      }
+    }
+    const rows = [...perAccount].map(([label, r]) => [label, r.created, r.distinct, situations.length - r.distinct]);
+    if (rows.length > 0) printTable(["account", "created", "distinct", "not yet created"], rows);
+
+    const reposted = [...usage].filter(([key, byAccount]) => inFile.has(key) && totalUses(byAccount) > 1).length;
+    logInfo(`${situations.length} situations: ${situations.length - unused.length} used (${reposted} more than once), ${unused.length} unused.`);
+    for (const s of unused.slice(0, MAX_LISTED_LINES)) console.log(`  - ${s.question}`);
+    if (unused.length > MAX_LISTED_LINES) console.log(`  ... and ${unused.length - MAX_LISTED_LINES} more`);
+    if (unused.length === 0) logWarn(`Every situation has been used; add more to ${path.basename(SITUATIONS_PATH)}.`);
+  },
+};
+
+async function runSituationsCommand(cfg, cli) {
+  const [sub = "check"] = cli.args;
+  const command = SITUATION_COMMANDS[sub];
+  if (!command) throw new Error(`Unknown situations command "${sub}". Use one of: ${Object.keys(SITUATION_COMMANDS).join(", ")}.`);
+  await command(cfg, cli);
+}
+
+// ----- Report command -----
+// Prizes credited as points rather than game balance; every other prize type counts as a
+// return in the box's own currency (XAGE-USDT)
+const POINT_PRIZE_TYPES = ["xage"];
+
+const pct = (n, total) => (total > 0 ? `${((100 * n) / total).toFixed(1)}%` : "-");
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Successful lootbox opens from the journal, filtered by --account / --type
+function lootboxLedger(cfg, cli) {
+  const labels = cli.accounts.length > 0 ? resolveAccountIndexes(cfg, cli.accounts).map((i) => accountLabel(cfg, i)) : null;
+  return readJournal({ types: ["lootbox.open"], accounts: labels })
+    .filter((e) => e.ok && e.prize && (!cli.lootbox.game || e.game === cli.lootbox.game));
+}
+
+function summarizeOpens(entries) {
+  const s = { opens: entries.length, spent: 0, returned: 0, points: 0, jackpots: 0, types: new Map() };
+  for (const e of entries) {
+    const amount = Number(e.prize.amount) || 0;
+    const type = String(e.prize.type || "?").toLowerCase();
+    s.spent += Number(e.price) || 0;
+    if (POINT_PRIZE_TYPES.includes(type)) s.points += amount;
+    else s.returned += amount;
+    if (e.wonUsdt) s.jackpots++;
+    const t = s.types.get(type) || { count: 0, amount: 0 };
+    t.count++;
+    t.amount += amount;
+    s.types.set(type, t);
   }
-  logOk("TradeX stopped gracefully.");
+  return s;
 }
 
-// ----- MAIN -----
-(async function main() {
-  try {
-    const cfg = normalizeConfig(readConfigIfExists());
-    saveConfig(cfg);
+// ----- History report -----
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
 
-    await ensureAccountsExist(cfg);
-    await maybeAppendMoreAccounts(cfg);
+// Every UTC day from..to (YYYY-MM-DD, inclusive)
+function dayRange(from, to) {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) days.push(isoDay(t));
+  return days;
+}
+
+// Daily closing values from the history samples: Map label -> { metric: [value per day] }.
+// A day without a sample carries the last known value (also one from before the range);
+// days before an account's first sample are null. "total" sums the accounts per day.
+function historySeries(samples, days) {
+  const byAccount = new Map();
+  for (const s of [...samples].sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts))) {
+    if (!HISTORY_METRICS.includes(s.metric) || typeof s.value !== "number") continue;
+    if (!byAccount.has(s.account)) byAccount.set(s.account, []);
+    byAccount.get(s.account).push(s);
+  }
 
-    let mode = await promptMenu();
-    while (!mode) {
-      logWarn("Invalid choice. Please enter 1, 2, 3 or 4.");
-      mode = await promptMenu();
+  const series = new Map();
+  for (const [label, list] of byAccount) {
+    const out = Object.fromEntries(HISTORY_METRICS.map((m) => [m, []]));
+    const current = {};
+    let next = 0;
+    for (const day of days) {
+      while (next < list.length && list[next].ts.slice(0, 10) <= day) {
+        current[list[next].metric] = list[next].value;
+        next++;
+      }
+      for (const m of HISTORY_METRICS) out[m].push(current[m] ?? null);
     }
+    series.set(label, out);
+  }
 
-    if (mode === "TASKS") {
-      for (let i = 0; i < cfg.accounts.length; i++) {
-        try {
-          await runTasksForAccount(cfg, i);
-        } catch (e) {
-          logErr(`Account "${cfg.accounts[i]?.label || `acc${i + 1}`}" failed: ${e.message}`);
-        }
+  const total = Object.fromEntries(HISTORY_METRICS.map((m) => [m, days.map((_, d) => {
+    const values = [...series.values()].map((s) => s[m][d]).filter((v) => v !== null);
+    return values.length > 0 ? round2(values.reduce((a, b) => a + b, 0)) : null;
+  })]));
+  if (series.size > 0) series.set("total", total);
+  return series;
+}
+
+// { start, end, change } of one daily series (first and last known value in the range)
+function growthOf(values) {
+  const known = values.filter((v) => v !== null);
+  if (known.length === 0) return null;
+  const start = known[0];
+  const end = known[known.length - 1];
+  return { start, end, change: round2(end - start) };
+}
+
+const csvCell = (v) => (v === null || v === undefined ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+function historyCsv(days, series) {
+  const lines = [["date", "account", ...HISTORY_METRICS].join(",")];
+  days.forEach((day, d) => {
+    for (const [label, s] of series) {
+      const values = HISTORY_METRICS.map((m) => s[m][d]);
+      if (values.some((v) => v !== null)) lines.push([day, label, ...values].map(csvCell).join(","));
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const CHART_COLORS = ["#2563eb", "#16a34a", "#dc2626", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#db2777"];
+
+// Inline SVG line chart of one metric: a line per account, "total" drawn thick and dark
+function svgChart(title, days, series, metric) {
+  const W = 760;
+  const H = 240;
+  const pad = { left: 60, right: 12, top: 12, bottom: 28 };
+  const all = [...series.values()].flatMap((s) => s[metric]).filter((v) => v !== null);
+  if (all.length === 0) return `<h2>${escapeHtml(title)}</h2><p class="empty">No samples.</p>`;
+  let min = Math.min(...all);
+  let max = Math.max(...all);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const x = (d) => pad.left + (days.length > 1 ? (d / (days.length - 1)) * (W - pad.left - pad.right) : (W - pad.left - pad.right) / 2);
+  const y = (v) => pad.top + (1 - (v - min) / (max - min)) * (H - pad.top - pad.bottom);
+
+  const lines = [];
+  const legend = [];
+  [...series.keys()].forEach((label, n) => {
+    const values = series.get(label)[metric];
+    const isTotal = label === "total";
+    const color = isTotal ? "#111827" : CHART_COLORS[n % CHART_COLORS.length];
+    let d = "";
+    let pen = "M";
+    values.forEach((v, i) => {
+      if (v === null) {
+        pen = "M";
+        return;
       }
-      logOk("All accounts processed (TASKS).");
+      d += `${pen}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+      pen = "L";
+    });
+    const last = values.findLastIndex((v) => v !== null);
+    if (last < 0) return;
+    lines.push(`<path d="${d.trim()}" fill="none" stroke="${color}" stroke-width="${isTotal ? 3 : 1.5}"/>`);
+    lines.push(`<circle cx="${x(last).toFixed(1)}" cy="${y(values[last]).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(label)}: ${values[last]}</title></circle>`);
+    legend.push(`<span><i style="background:${color}"></i>${escapeHtml(label)}</span>`);
+  });
+
+  return `<h2>${escapeHtml(title)}</h2>
+<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHtml(title)}">
+<line x1="${pad.left}" y1="${H - pad.bottom}" x2="${W - pad.right}" y2="${H - pad.bottom}" stroke="#d1d5db"/>
+<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${H - pad.bottom}" stroke="#d1d5db"/>
+<text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${round2(max)}</text>
+<text x="${pad.left - 6}" y="${H - pad.bottom}" text-anchor="end">${round2(min)}</text>
+<text x="${pad.left}" y="${H - 8}">${days[0]}</text>
+<text x="${W - pad.right}" y="${H - 8}" text-anchor="end">${days[days.length - 1]}</text>
+${lines.join("\n")}
+</svg>
+<div class="legend">${legend.join("")}</div>`;
+}
+
+function historyHtml(days, series, rows) {
+  const headers = ["account", ...HISTORY_METRICS.flatMap((m) => [m, `Δ ${m}`])];
+  const table = `<table><thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>
+${rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("\n")}
+</tbody></table>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Xage history ${days[0]} – ${days[days.length - 1]}</title>
+<style>
+body { font: 14px system-ui, sans-serif; margin: 24px; color: #111827; max-width: 800px; }
+table { border-collapse: collapse; margin-bottom: 24px; }
+th, td { padding: 4px 10px; border-bottom: 1px solid #e5e7eb; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+svg { width: 100%; height: auto; }
+svg text { font-size: 11px; fill: #6b7280; }
+.legend span { margin-right: 14px; white-space: nowrap; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+.empty { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Points and balances, ${days[0]} – ${days[days.length - 1]}</h1>
+${table}
+${svgChart("Points", days, series, "points")}
+${svgChart("TradeX balance (XAGE-USDT)", days, series, "tradex")}
+${svgChart("SituationX balance (XAGE-USDT)", days, series, "situationx")}
+<p class="empty">Daily closing values (UTC); a day without a sample repeats the previous value.</p>
+</body>
+</html>
+`;
+}
+
+const REPORT_COMMANDS = {
+  // Lootbox prize ledger: what each box paid out, and per-account totals
+  async lootbox(cfg, cli) {
+    const ledger = lootboxLedger(cfg, cli);
+    if (ledger.length === 0) {
+      logWarn("No lootbox opens in the journal yet.");
       return;
     }
 
-    if (mode === "TRADEX") {
-      await runTradeXAllAccountsForever(cfg);
+    const boxes = new Map(); // "game/id" -> entries
+    for (const e of ledger) {
+      const key = `${e.game}/${e.lootboxId}`;
+      if (!boxes.has(key)) boxes.set(key, []);
+      boxes.get(key).push(e);
+    }
+
+    console.log(paint(C.bold, "\nPer box"));
+    const boxRows = [...boxes.values()].map((entries) => {
+      const { game, lootboxId, box } = entries[entries.length - 1];
+      const s = summarizeOpens(entries);
+      const avgPrice = s.spent / s.opens;
+      return [
+        game,
+        `${lootboxId}${box ? ` ${box}` : ""}`,
+        s.opens,
+        round2(avgPrice),
+        round2(s.returned / s.opens),
+        pct(s.returned, s.spent),
+        round2(s.points / s.opens),
+        `${s.jackpots} (${pct(s.jackpots, s.opens)})`,
+      ];
+    });
+    printTable(["game", "box", "opens", "price", "avg return", "return/price", "avg points", "jackpots"], boxRows);
+
+    console.log(paint(C.bold, "\nPrize distribution"));
+    const typeRows = [];
+    for (const entries of boxes.values()) {
+      const { game, lootboxId } = entries[0];
+      const s = summarizeOpens(entries);
+      for (const [type, t] of [...s.types].sort((a, b) => b[1].count - a[1].count)) {
+        typeRows.push([game, lootboxId, type, t.count, pct(t.count, s.opens), round2(t.amount / t.count)]);
+      }
+    }
+    printTable(["game", "box", "prize", "count", "share", "avg amount"], typeRows);
+
+    console.log(paint(C.bold, "\nPer account"));
+    const byAccount = new Map();
+    for (const e of ledger) {
+      if (!byAccount.has(e.account)) byAccount.set(e.account, []);
+      byAccount.get(e.account).push(e);
+    }
+    const accountRows = [...byAccount].map(([label, entries]) => {
+      const s = summarizeOpens(entries);
+      return [label, s.opens, round2(s.spent), round2(s.returned), round2(s.returned - s.spent), round2(s.points), s.jackpots];
+    });
+    const all = summarizeOpens(ledger);
+    accountRows.push(["total", all.opens, round2(all.spent), round2(all.returned), round2(all.returned - all.spent), round2(all.points), all.jackpots]);
+    printTable(["account", "opens", "spent", "returned", "net", "points", "jackpots"], accountRows);
+    console.log("");
+    logInfo(`"return" counts prizes paid in XAGE-USDT; ${POINT_PRIZE_TYPES.map((t) => `"${t}"`).join(", ")} prizes are points and listed separately.`);
+  },
+
+  // Points and balance growth from history.jsonl over --from/--to, as CSV and an HTML page
+  async history(cfg, cli) {
+    const labels = cli.accounts.length > 0 ? resolveAccountIndexes(cfg, cli.accounts).map((i) => accountLabel(cfg, i)) : null;
+    const samples = readJsonLines(HISTORY_PATH).filter((s) => typeof s.ts === "string" && (!labels || labels.includes(s.account)));
+    const inRange = samples.filter((s) => (!cli.from || s.ts.slice(0, 10) >= cli.from) && (!cli.to || s.ts.slice(0, 10) <= cli.to));
+    if (inRange.length === 0) {
+      logWarn("No points/balance history in that range yet. It is recorded whenever a mode or `accounts verify` runs.");
       return;
     }
+    const days = dayRange(cli.from || inRange[0].ts.slice(0, 10), cli.to || inRange[inRange.length - 1].ts.slice(0, 10));
+    const series = historySeries(samples.filter((s) => s.ts.slice(0, 10) <= days[days.length - 1]), days);
+
+    const rows = [...series].map(([label, s]) => [label, ...HISTORY_METRICS.flatMap((m) => {
+      const g = growthOf(s[m]);
+      return g ? [g.end, `${g.change >= 0 ? "+" : ""}${g.change}`] : ["-", "-"];
+    })]);
+    console.log(paint(C.bold, `\nGrowth ${days[0]} – ${days[days.length - 1]}`));
+    printTable(["account", ...HISTORY_METRICS.flatMap((m) => [m, `Δ ${m}`])], rows);
+    console.log("");
+
+    const outDir = path.resolve(cli.out || path.dirname(CONFIG_PATH));
+    fs.mkdirSync(outDir, { recursive: true });
+    const base = path.join(outDir, `history-${days[0]}_${days[days.length - 1]}`);
+    fs.writeFileSync(`${base}.csv`, historyCsv(days, series), "utf8");
+    fs.writeFileSync(`${base}.html`, historyHtml(days, series, rows), "utf8");
+    logOk(`Wrote ${base}.csv and ${base}.html`);
+  },
+};
+
+async function runReportCommand(cfg, cli) {
+  const [sub] = cli.args;
+  const command = REPORT_COMMANDS[sub];
+  if (!command) throw new Error(`Unknown report "${sub ?? ""}". Use one of: ${Object.keys(REPORT_COMMANDS).join(", ")}.`);
+  await command(cfg, cli);
+}
+
+const MODE_SETTINGS_SECTION = { TASKS: "tasks", TRADEX: "tradex", SITUATIONX: "situationx", LOOTBOX: "lootbox" };
+
+function formatSettings(values) {
+  return Object.entries(values).map(([k, v]) => `${k}=${paint(C.cyan, Array.isArray(v) ? JSON.stringify(v) : String(v))}`).join(" ");
+}
+
+function printEffectiveSettings(cfg, mode, indexes) {
+  const section = MODE_SETTINGS_SECTION[mode];
+  if (!section) return;
+  logInfo(`Settings (concurrency): ${formatSettings(getSettings(cfg).concurrency)}`);
+  logInfo(`Settings (${section}): ${formatSettings(getSettings(cfg)[section])}`);
+  for (const i of indexes) {
+    const override = cfg.accounts[i].settings?.[section];
+    if (override && Object.keys(override).length > 0) {
+      logInfo(`  "${accountLabel(cfg, i)}" overrides: ${formatSettings(override)}`);
+    }
+  }
+}
 
-    if (mode === "LOOTBOX") {
-      logInfo("=== LOOTBOX MODE START ===");
-      for (let i = 0; i < cfg.accounts.length; i++) {
-        if (i > 0) await sleepRandom(5000, 10000, "Delay between accounts");
-        await runLootboxForAccount(cfg, i);
+// options: { lootbox: --type/--box/--once/--repeat, watch: tasks --watch }
+async function runMode(cfg, mode, indexes, options = {}) {
+  logger.mode = mode.toLowerCase();
+  indexes = indexes.filter((i) => {
+    if (!cfg.accounts[i].disabled) return true;
+    logInfo(`Skipping "${accountLabel(cfg, i)}": disabled`);
+    return false;
+  });
+  printEffectiveSettings(cfg, mode, indexes);
+  const { concurrency, api } = getSettings(cfg);
+  setRequestRate(concurrency.maxRequestsPerSecond);
+  runtime.tagAccounts = concurrency.accounts > 1 && indexes.length > 1;
+
+  const closeStatusApi = await startStatusApi(cfg, indexes, options.statusPort ?? api.port);
+  try {
+    await dispatchMode(cfg, mode, indexes, options);
+  } finally {
+    await closeStatusApi();
+  }
+}
+
+// The mode itself; runMode wraps it with the status API
+async function dispatchMode(cfg, mode, indexes, options) {
+  const lootboxOpts = options.lootbox || {};
+  const { concurrency } = getSettings(cfg);
+  if ((mode === "TASKS" && !options.watch) || mode === "LOOTBOX") {
+    // One-shot modes just skip suspended accounts; the forever loops (and tasks --watch) keep re-checking them
+    indexes = indexes.filter((i) => {
+      if (!isSuspended(cfg, i)) return true;
+      logWarn(`Skipping "${accountLabel(cfg, i)}": suspended (${cfg.accounts[i].suspended.reason})`);
+      return false;
+    });
+  }
+
+  if (mode === "TASKS") {
+    if (options.watch) {
+      await watchTasks(cfg, indexes);
+      return;
+    }
+    await runTasksForAll(cfg, indexes);
+    return;
+  }
+
+  if (mode === "TRADEX") {
+    await runTradeXAllAccountsForever(cfg, indexes);
+    return;
+  }
+
+  if (mode === "LOOTBOX") {
+    const plans = new Map(indexes.map((i) => [i, lootboxPlan(cfg, i, lootboxOpts)]));
+    const incomplete = indexes.filter((i) => !lootboxPlanComplete(plans.get(i)));
+    if (incomplete.length > 0 && !runtime.interactive) {
+      throw new Error(`lootbox with --yes needs --type and --box, or settings.lootbox.game and boxId (missing for ${incomplete.map((i) => `"${accountLabel(cfg, i)}"`).join(", ")}).`);
+    }
+    // A dry run with every plan known just prints the table; otherwise the prompts run and
+    // the opens are previewed one by one
+    if (runtime.dryRun && incomplete.length === 0) {
+      await previewLootboxPlans(cfg, indexes, plans);
+      return;
+    }
+
+    logInfo("=== LOOTBOX MODE START ===");
+    // Accounts only run in parallel when nothing needs to be asked
+    const limit = incomplete.length > 0 ? 1 : concurrency.accounts;
+    runtime.tagAccounts = limit > 1 && indexes.length > 1;
+    let started = 0;
+    await runPool(indexes, limit, (i) => runForAccount(accountLabel(cfg, i), async () => {
+      if (limit === 1 && started++ > 0) {
+        const delays = getSettings(cfg).lootbox;
+        await sleepRandom(delays.betweenAccountsMinMs, delays.betweenAccountsMaxMs, "Delay between accounts");
       }
-      logOk("=== ALL ACCOUNTS FINISHED LOOTBOX ===");
+      try {
+        await runLootboxForAccount(cfg, i, plans.get(i));
+      } catch (e) {
+        logErr(`Account "${accountLabel(cfg, i)}" failed: ${e.message}`);
+      }
+    }));
+    logOk("=== ALL ACCOUNTS FINISHED LOOTBOX ===");
+    return;
+  }
+
+  if (mode === "SITUATIONX") {
+    await runSituationXAllAccountsForever(cfg, indexes);
+    return;
+  }
+}
+
+// ----- MAIN -----
+async function main(argv) {
+  let cli;
+  try {
+    cli = parseCli(argv);
+  } catch (e) {
+    logErr(e.message);
+    printUsage();
+    process.exitCode = 2;
+    return;
+  }
+  if (cli.help) {
+    printUsage();
+    return;
+  }
+
+  if (cli.command) runtime.interactive = !cli.yes;
+  runtime.dryRun = cli.dryRun;
+  runtime.speed = cli.speed ?? 1;
+  if (runtime.dryRun) {
+    logWarn(`DRY RUN: only GET requests are sent; tasks, tokens, situations and lootbox opens are just printed.${runtime.speed > 1 ? ` Delays are ${runtime.speed}x shorter.` : ""}`);
+  }
+
+  try {
+    const raw = readConfigIfExists();
+    const onDisk = JSON.stringify(raw);
+    await unlockCookieStore(raw);
+    const cfg = normalizeConfig(raw);
+    saveConfigIfChanged(cfg, onDisk);
+    configureLogging(getSettings(cfg).log, cli);
+    configureNotifications(cfg);
+    logger.mode = cli.command ? cli.command.toLowerCase() : null;
+
+    // No command: classic interactive flow
+    if (!cli.command) {
+      await ensureAccountsExist(cfg);
+      await maybeAppendMoreAccounts(cfg);
+
+      let mode = await promptMenu();
+      while (!mode) {
+        logWarn("Invalid choice. Please enter 1, 2, 3 or 4.");
+        mode = await promptMenu();
+      }
+      await runMode(cfg, mode, allAccountIndexes(cfg), { statusPort: cli.statusPort });
       return;
     }
 
-    if (mode === "SITUATIONX") {
-      await runSituationXAllAccountsForever(cfg);
+    if (cli.command === "ACCOUNTS") {
+      await runAccountsCommand(cfg, cli);
+      return;
+    }
+    if (cli.command === "SITUATIONS") {
+      await runSituationsCommand(cfg, cli);
       return;
     }
+    if (cli.command === "REPORT") {
+      await runReportCommand(cfg, cli);
+      return;
+    }
+
+    if (cfg.accounts.length === 0) {
+      throw new Error("No accounts found in config.json. Add one with: node index.js accounts add");
+    }
+    const indexes = resolveAccountIndexes(cfg, cli.accounts);
+    await runMode(cfg, cli.command, indexes, { lootbox: cli.lootbox, watch: cli.watch, statusPort: cli.statusPort });
   } catch (e) {
     logErr(e.message);
     process.exitCode = 1;
+  } finally {
+    await flushNotifications();
   }
-})();
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  BASE_URL,
+  DEFAULT_SETTINGS,
+  XageClient,
+  clientFor,
+  looksLikeAuthProblem,
+  normalizeConfig,
+  getSettings,
+  sealText,
+  unsealText,
+  parseCli,
+  parseCookieText,
+  parseRetryAfterMs,
+  parseSituationsFile,
+  requestJson,
+  resolveAccountIndexes,
+};
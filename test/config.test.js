@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_SETTINGS, getSettings, normalizeConfig, parseCli, parseCookieText, parseSituationsFile, sealText, unsealText } = require("../index");
+
+test("normalizeConfig fills default settings and keeps account overrides", () => {
+  const cfg = normalizeConfig({
+    accounts: [{ label: " a ", cookie: " c ", settings: { tradex: { ttlSeconds: 600 } } }, { cookie: "d" }],
+  });
+  assert.strictEqual(cfg.settings, undefined);
+  assert.deepStrictEqual(getSettings(cfg), DEFAULT_SETTINGS);
+  assert.strictEqual(JSON.stringify(cfg).includes("jitterMinMs"), false);
+  assert.strictEqual(cfg.accounts[0].label, "a");
+  assert.strictEqual(cfg.accounts[0].cookie, "c");
+  assert.strictEqual(cfg.accounts[1].label, "acc2");
+  assert.strictEqual(getSettings(cfg, 0).tradex.ttlSeconds, 600);
+  assert.strictEqual(getSettings(cfg, 1).tradex.ttlSeconds, 300);
+});
+
+test("normalizeConfig keeps only the settings the user wrote", () => {
+  const cfg = normalizeConfig({ settings: { tradex: { ttlSeconds: 600 } } });
+  assert.deepStrictEqual(cfg.settings, { tradex: { ttlSeconds: 600 } });
+  assert.strictEqual(getSettings(cfg).tradex.ttlSeconds, 600);
+  assert.strictEqual(getSettings(cfg).tradex.creationsPerGroup, DEFAULT_SETTINGS.tradex.creationsPerGroup);
+});
+
+test("normalizeConfig migrates the old single cookie field", () => {
+  const cfg = normalizeConfig({ cookie: "GAESA=x" });
+  assert.deepStrictEqual(cfg.accounts, [{ label: "acc1", cookie: "GAESA=x" }]);
+  assert.strictEqual(cfg.cookie, undefined);
+});
+
+test("normalizeConfig rejects bad settings with the offending key", () => {
+  assert.throws(() => normalizeConfig({ settings: { tradex: { creationsPerGrup: 2 } } }), /unknown setting settings\.tradex\.creationsPerGrup/);
+  assert.throws(() => normalizeConfig({ settings: { tasks: { delayMinMs: -1 } } }), /settings\.tasks\.delayMinMs must be a whole number >= 0/);
+  assert.throws(() => normalizeConfig({ settings: { tradex: { showBalanceEachCycle: "yes" } } }), /must be true or false/);
+  assert.throws(() => normalizeConfig({ settings: { tasks: { delayMinMs: 20000 } } }), /delayMinMs \(20000\) is greater than delayMaxMs/);
+  assert.throws(
+    () => normalizeConfig({ accounts: [{ cookie: "x", settings: { situationx: { creationsPerGroup: 0 } } }] }),
+    /accounts\[0\]\.settings\.situationx\.creationsPerGroup/
+  );
+  assert.throws(() => normalizeConfig({ settings: { log: { level: "verbose" } } }), /settings\.log\.level must be one of "debug", "info", "warn", "error"/);
+  assert.throws(() => normalizeConfig({ accounts: [{ cookie: "x", settings: { log: { file: "a.log" } } }] }), /log/);
+  assert.throws(() => normalizeConfig({ webhooks: [{ type: "slack", url: "https://x" }] }), /webhooks\[0\]\.type must be one of "generic", "discord", "telegram"/);
+  assert.throws(() => normalizeConfig({ webhooks: [{ type: "discord" }] }), /webhooks\[0\]\.url must be an http\(s\) URL/);
+  assert.throws(() => normalizeConfig({ webhooks: [{ type: "telegram", chatId: 1 }] }), /webhooks\[0\]\.botToken is required for telegram/);
+  assert.throws(() => normalizeConfig({ webhooks: [{ url: "https://x", events: ["jackpot", "payday"] }] }), /events must list events from: .* \(got "payday"\)/);
+  assert.throws(() => normalizeConfig({ settings: { tasks: { denyTypes: "social" } } }), /settings\.tasks\.denyTypes must be a list of strings/);
+  assert.throws(() => normalizeConfig({ settings: { tasks: { allowNames: ["(daily"] } } }), /settings\.tasks\.allowNames has an invalid pattern "\(daily"/);
+  assert.throws(() => normalizeConfig({ settings: { api: { port: 70000 } } }), /settings\.api\.port must be a port number 1-65535, or 0 for off/);
+  assert.throws(() => normalizeConfig({ accounts: [{ cookie: "x", settings: { api: { port: 8080 } } }] }), /api/);
+});
+
+test("parseCli", () => {
+  assert.strictEqual(parseCli([]).command, null);
+  const cli = parseCli(["lootbox", "-a", "acc1,acc2", "--type", "TradeX", "--box", "2", "--repeat", "-y"]);
+  assert.strictEqual(cli.command, "LOOTBOX");
+  assert.deepStrictEqual(cli.accounts, ["acc1,acc2"]);
+  assert.deepStrictEqual(cli.lootbox, { game: "tradex", boxId: 2, repeat: true });
+  assert.deepStrictEqual(parseCli(["lootbox", "-y", "-t", "tradex", "-b", "1"]).lootbox, { game: "tradex", boxId: 1 });
+  assert.throws(() => parseCli(["dance"]), /Unknown command "dance"/);
+  assert.throws(() => parseCli(["--yes"]), /--yes needs a command/);
+  assert.throws(() => parseCli(["-a", "acc2"]), /--account needs a command/);
+  assert.throws(() => parseCli(["--repeat"]), /--repeat needs a command/);
+  assert.throws(() => parseCli(["lootbox", "--box", "gold"]), /--box must be a lootbox id/);
+  assert.strictEqual(parseCli(["lootbox", "--box", "9"]).lootbox.boxId, 9);
+  assert.strictEqual(parseCli(["lootbox", "--yes", "--dry-run"]).dryRun, true);
+  assert.strictEqual(parseCli(["tasks", "--dry-run"]).dryRun, true);
+  assert.strictEqual(parseCli(["--dry-run", "--speed", "100"]).speed, 100);
+  assert.throws(() => parseCli(["accounts", "verify", "--dry-run"]), /--dry-run only works with the tasks, tradex, situationx and lootbox commands/);
+  assert.deepStrictEqual([parseCli(["report", "history", "--from", "2026-01-01"]).from], ["2026-01-01"]);
+  assert.throws(() => parseCli(["report", "history", "--to", "2026-02-30"]), /--to must be a date like 2026-01-31/);
+  assert.throws(() => parseCli(["report", "history", "--from", "2026-02-01", "--to", "2026-01-01"]), /--from is after --to/);
+  assert.throws(() => parseCli(["tradex", "--speed", "10"]), /--speed only works together with --dry-run/);
+  assert.throws(() => parseCli(["tradex", "--dry-run", "--speed", "0.5"]), /--speed must be a number >= 1/);
+  assert.strictEqual(parseCli(["tasks", "--watch"]).watch, true);
+  assert.throws(() => parseCli(["tradex", "--watch"]), /--watch only works with the tasks command/);
+  assert.throws(() => parseCli(["tasks", "--once", "--repeat"]), /cannot be used together/);
+  assert.strictEqual(parseCli(["tradex", "--status-port", "8080"]).statusPort, 8080);
+  assert.throws(() => parseCli(["tradex", "--status-port", "0"]), /--status-port must be a port number 1-65535/);
+  assert.throws(() => parseCli(["report", "lootbox", "--status-port", "8080"]), /--status-port only works with/);
+});
+
+test("parseCookieText keeps only xage.app cookies from cookies.txt and JSON exports", () => {
+  const future = Math.floor(Date.now() / 1000) + 3600;
+  const txt = [
+    "# Netscape HTTP Cookie File",
+    `.xage.app\tTRUE\t/\tTRUE\t${future}\tGAESA\tg1`,
+    `#HttpOnly_xage.app\tFALSE\t/\tTRUE\t0\tconnect.sid\ts%3Aabc`,
+    `.google.com\tTRUE\t/\tTRUE\t${future}\tNID\tzzz`,
+  ].join("\n");
+  const a = parseCookieText(txt);
+  assert.strictEqual(a.format, "netscape");
+  assert.strictEqual(a.cookie, "GAESA=g1; connect.sid=s%3Aabc");
+  assert.deepStrictEqual(a.missing, []);
+
+  const json = JSON.stringify({ cookies: [
+    { name: "connect.sid", value: "s1", domain: "www.xage.app", expirationDate: 1000 },
+    { name: "_ga", value: "x", domain: ".example.com" },
+  ] });
+  const b = parseCookieText(json);
+  assert.strictEqual(b.format, "json");
+  assert.strictEqual(b.cookie, "connect.sid=s1");
+  assert.deepStrictEqual(b.missing, ["GAESA"]);
+  assert.deepStrictEqual(b.expired, ["connect.sid"]);
+
+  assert.strictEqual(parseCookieText(" GAESA=g; connect.sid=s; ").cookie, "GAESA=g; connect.sid=s");
+  assert.throws(() => parseCookieText('{"foo": 1}'), /array of cookies/);
+});
+
+test("sealText/unsealText round-trip and reject a wrong key or tampering", () => {
+  const key = crypto.randomBytes(32);
+  const sealed = sealText(key, "GAESA=g; connect.sid=s");
+  assert.match(sealed, /^enc:v1:/);
+  assert.strictEqual(unsealText(key, sealed), "GAESA=g; connect.sid=s");
+  assert.throws(() => unsealText(crypto.randomBytes(32), sealed), (e) => e.code === "DECRYPT");
+  const tampered = sealed.slice(0, -4) + (sealed.endsWith("AAAA") ? "BBBB" : "AAAA");
+  assert.throws(() => unsealText(key, tampered), (e) => e.code === "DECRYPT");
+  assert.throws(() => normalizeConfig({ accounts: [{ cookie: sealed }] }), /accounts\[0\]\.cookie is encrypted but no passphrase/);
+});
+
+test("parseSituationsFile accepts JSONC, reports bad entries by index and dedupes", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xage-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const limits = DEFAULT_SETTINGS.situationx;
+
+  const json = path.join(dir, "situation.json");
+  fs.writeFileSync(json, `[
+    // the shipped file has comments
+    { "question": "Will BTC hit 100k? // not a comment", "outcomeA": "Yes", "outcomeB": "No" },
+    { "question": "", "outcomeA": "", "outcomeB": "" }, /* empty entry */
+    { "question": "will  btc hit 100k? // NOT a comment", "outcomeA": "Yes", "outcomeB": "No" },
+    { "question": "Same outcomes?", "outcomeA": "Yes", "outcomeB": " yes " },
+    { "question": "${"x".repeat(201)}", "outcomeA": "A", "outcomeB": "B" },
+    { "question": "Rain tomorrow?", "outcomeA": "Rain", "outcomeB": "Sun" },
+  ]`);
+  const parsed = parseSituationsFile(json, limits);
+  assert.deepStrictEqual(parsed.situations.map((s) => s.question), ["Will BTC hit 100k? // not a comment", "Rain tomorrow?"]);
+  assert.deepStrictEqual(parsed.invalid, [
+    { where: "entry 2", problem: "question is empty" },
+    { where: "entry 4", problem: "outcomeA and outcomeB are the same" },
+    { where: "entry 5", problem: "question is longer than 200 characters (201)" },
+  ]);
+  assert.deepStrictEqual(parsed.duplicates, [{ where: "entry 3", firstAt: "entry 1" }]);
+
+  const csv = path.join(dir, "questions.csv");
+  fs.writeFileSync(csv, 'question,outcomeA,outcomeB\n"Will ETH flip BTC, ever?",Yes,No\nOnly a question\nHalf,Up\n');
+  const fromCsv = parseSituationsFile(csv, limits);
+  assert.deepStrictEqual(fromCsv.situations, [
+    { question: "Will ETH flip BTC, ever?", outcomeA: "Yes", outcomeB: "No" },
+    { question: "Only a question", outcomeA: "Yes", outcomeB: "No" },
+  ]);
+  assert.deepStrictEqual(fromCsv.invalid, [{ where: "line 4", problem: "outcomeB is empty" }]);
+
+  const txt = path.join(dir, "questions.txt");
+  fs.writeFileSync(txt, "# comment\nWill it snow? | Snow | No snow\n\nAnother one?\n");
+  assert.deepStrictEqual(parseSituationsFile(txt, limits).situations.map((s) => s.outcomeA), ["Snow", "Yes"]);
+
+  fs.writeFileSync(json, "[{ oops }]");
+  assert.throws(() => parseSituationsFile(json, limits), /situation\.json is not valid JSON/);
+});
+
+test("situationx.onExhausted can only be set globally", () => {
+  assert.strictEqual(normalizeConfig({ settings: { situationx: { onExhausted: "stop" } } }).settings.situationx.onExhausted, "stop");
+  assert.throws(() => normalizeConfig({ settings: { situationx: { onExhausted: "loop" } } }), /must be one of "stop", "recycle", "warn"/);
+  assert.throws(
+    () => normalizeConfig({ accounts: [{ cookie: "x", settings: { situationx: { onExhausted: "stop" } } }] }),
+    /accounts\[0\]\.settings\.situationx\.onExhausted can only be set in the top-level settings/,
+  );
+});
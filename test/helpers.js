@@ -0,0 +1,110 @@
+// test/helpers.js — run index.js as a child process against the mock server
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const INDEX = path.join(__dirname, "..", "index.js");
+
+// Settings that squeeze every delay down to milliseconds
+const FAST_SETTINGS = {
+  retry: { fallbackWaitMs: 10, jitterMinMs: 0, jitterMaxMs: 0 },
+  tasks: { delayMinMs: 0, delayMaxMs: 0 },
+  tradex: { betweenCreationsMinMs: 20, betweenCreationsMaxMs: 20, afterGroupMinMs: 50, afterGroupMaxMs: 50 },
+  situationx: { betweenCreationsMinMs: 20, betweenCreationsMaxMs: 20, afterGroupMinMs: 50, afterGroupMaxMs: 50 },
+  lootbox: { betweenOpensMinMs: 0, betweenOpensMaxMs: 0, betweenAccountsMinMs: 0, betweenAccountsMaxMs: 0 },
+};
+
+const stripAnsi = (s) => s.replace(/\x1b\[[0-9;]*m/g, "");
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "xage-test-"));
+}
+
+// Write config.json with FAST_SETTINGS; sections in cfg.settings are merged over them
+function writeConfig(dir, cfg) {
+  const file = path.join(dir, "config.json");
+  const settings = { ...FAST_SETTINGS };
+  for (const [section, values] of Object.entries(cfg.settings || {})) {
+    settings[section] = { ...settings[section], ...values };
+  }
+  fs.writeFileSync(file, JSON.stringify({ ...cfg, settings }, null, 2));
+  return file;
+}
+
+function readConfig(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, "config.json"), "utf8"));
+}
+
+function readJournal(dir) {
+  const file = path.join(dir, "journal.jsonl");
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((l) => JSON.parse(l));
+}
+
+function writeJournal(dir, entries) {
+  fs.writeFileSync(path.join(dir, "journal.jsonl"), entries.map((e) => JSON.stringify(e) + "\n").join(""));
+}
+
+/**
+ * Run the bot once. Options:
+ *   server     mock server (its url becomes XAGE_BASE_URL)
+ *   dir        directory holding config.json (and situation.json if present)
+ *   stopWhen   (output) => boolean; sends SIGINT the first time it returns true
+ *   answers    [{ when: (output) => boolean, text }]: typed on stdin one by one, each once its
+ *              `when` is true (stdin stays closed without answers)
+ *   timeoutMs  kill the child and reject after this long (default 15s)
+ * Resolves with { code, signal, output } where output has colours stripped.
+ */
+function runBot(args, { server, dir, env = {}, stopWhen = null, answers = null, timeoutMs = 15000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [INDEX, ...args], {
+      env: {
+        ...process.env,
+        XAGE_BASE_URL: server.url,
+        XAGE_CONFIG: path.join(dir, "config.json"),
+        XAGE_SITUATIONS: path.join(dir, "situation.json"),
+        ...env,
+      },
+      stdio: [answers ? "pipe" : "ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    let stopped = false;
+    const pending = [...(answers || [])];
+    const onData = (d) => {
+      output += stripAnsi(d.toString());
+      while (pending.length > 0 && pending[0].when(output)) child.stdin.write(`${pending.shift().text}\n`);
+      if (stopWhen && !stopped && stopWhen(output)) {
+        stopped = true;
+        child.kill("SIGINT");
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`Bot did not exit within ${timeoutMs}ms. Output:\n${output}`));
+    }, timeoutMs);
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, output });
+    });
+  });
+}
+
+const count = (s, needle) => s.split(needle).length - 1;
+
+module.exports = {
+  FAST_SETTINGS,
+  INDEX,
+  count,
+  makeTempDir,
+  readConfig,
+  readJournal,
+  runBot,
+  stripAnsi,
+  writeConfig,
+  writeJournal,
+};
@@ -0,0 +1,220 @@
+// test/mock-server.js (CommonJS) — local stand-in for the Xage API
+//
+// Used by the test suite, and handy for trying changes by hand:
+//   node test/mock-server.js 8787
+//   XAGE_BASE_URL=http://127.0.0.1:8787 node index.js tasks
+//
+// Any non-empty cookie is accepted and gets its own user, except cookies listed in
+// `server.state.rejectedCookies`. Responses can be scripted per route with
+// `server.script("GET /api/tasks", { status: 429, headers: { "retry-after": "1" } })`;
+// scripted responses are used once, in order, before the route's normal handler
+// (`delayMs` on a scripted response holds it back to simulate a slow server).
+// `latencyMs` holds back every API response, and `maxInFlight(route)` tells how many requests to
+// a route were being answered at the same time at most (to check parallel work without timing).
+// Any POST to /hooks/... is accepted as a webhook delivery (no cookie needed) and shows up in
+// `requests` like every other call.
+const http = require("http");
+
+const LOOTBOXES = [
+  { id: 1, name: "Bronze Box", price: 25 },
+  { id: 2, name: "Silver Box", price: 60 },
+  { id: 3, name: "Gold Box", price: 150 },
+];
+
+const DEFAULT_TASKS = [
+  { id: "follow-x", name: "Follow on X", type: "social", points: 100, completed: false },
+  { id: "daily-login", name: "Daily login", type: "daily", points: 10, completed: false },
+  { id: "join-tg", name: "Join Telegram", type: "social", points: 50, completed: true },
+];
+
+function createState(options = {}) {
+  return {
+    users: new Map(), // cookie -> user
+    rejectedCookies: new Set(options.rejectedCookies || []),
+    tasks: options.tasks || DEFAULT_TASKS,
+    lootboxes: options.lootboxes || LOOTBOXES,
+    startBalance: options.startBalance ?? 0,
+    latencyMs: options.latencyMs ?? 0,
+    prizes: options.prizes || [{ type: "xage", amount: 10 }],
+    nextId: 1,
+  };
+}
+
+function userFor(state, cookie) {
+  let user = state.users.get(cookie);
+  if (!user) {
+    const n = state.users.size + 1;
+    user = {
+      xHandle: `mock_user_${n}`,
+      accountAge: 100 + n,
+      points: 1000,
+      tasks: state.tasks.map((t) => ({ ...t })),
+      tokens: [],
+      situations: [],
+      balances: { tradex: state.startBalance, situationx: state.startBalance },
+      opened: [],
+    };
+    state.users.set(cookie, user);
+  }
+  return user;
+}
+
+function send(res, status, body, headers = {}) {
+  const raw = typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    "content-type": typeof body === "string" ? "text/html" : "application/json",
+    ...headers,
+  });
+  res.end(raw);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => { data += c; });
+    req.on("end", () => resolve(data));
+  });
+}
+
+function openBox(state, user, game, body) {
+  const box = state.lootboxes.find((b) => b.id === Number(body?.lootboxId));
+  if (!box) return [400, { success: false, message: "Unknown lootbox" }];
+  if (user.balances[game] < box.price) return [400, { success: false, message: "Insufficient balance" }];
+  user.balances[game] -= box.price;
+  const prize = state.prizes[user.opened.length % state.prizes.length];
+  user.opened.push({ game, lootboxId: box.id, prize });
+  if (prize.type === "xage") user.points += prize.amount;
+  else user.balances[game] += prize.amount;
+  return [200, { success: true, prize, meta: { wonUsdt: prize.type === "usdt" } }];
+}
+
+// Route table: "METHOD /path" (":id" matches one segment) -> handler(ctx) returning [status, body]
+const ROUTES = {
+  "GET /api/auth/me": ({ user }) => [200, {
+    success: true,
+    user: { xHandle: user.xHandle, accountAge: user.accountAge, points: user.points },
+  }],
+  "GET /api/tasks": ({ user }) => [200, { success: true, tasks: user.tasks }],
+  "POST /api/tasks/:id/complete": ({ user, params }) => {
+    const task = user.tasks.find((t) => t.id === params.id);
+    if (!task) return [404, { success: false, message: "Task not found" }];
+    if (task.completed) return [400, { success: false, message: "Task already completed" }];
+    task.completed = true;
+    user.points += task.points;
+    return [200, { success: true, pointsAwarded: task.points, newTotal: user.points }];
+  },
+  "POST /api/simulex/tokens": ({ state, user, body }) => {
+    const token = { id: state.nextId++, ...body };
+    user.tokens.push(token);
+    return [200, { success: true, token }];
+  },
+  "GET /api/simulex/balance": ({ user }) => [200, { success: true, balance: user.balances.tradex }],
+  "GET /api/simulex/lootboxes": ({ state }) => [200, { success: true, lootboxes: state.lootboxes }],
+  "POST /api/simulex/lootbox/open": ({ state, user, body }) => openBox(state, user, "tradex", body),
+  "POST /api/situationx/situations": ({ state, user, body }) => {
+    const situation = { id: state.nextId++, ...body };
+    user.situations.push(situation);
+    return [200, { success: true, situation }];
+  },
+  "GET /api/situationx/balance": ({ user }) => [200, { success: true, balance: user.balances.situationx }],
+  "GET /api/situationx/lootboxes": ({ state }) => [200, { success: true, lootboxes: state.lootboxes }],
+  "POST /api/situationx/lootbox/open": ({ state, user, body }) => openBox(state, user, "situationx", body),
+};
+
+function matchRoute(method, pathname) {
+  for (const key of Object.keys(ROUTES)) {
+    const [m, pattern] = key.split(" ");
+    if (m !== method) continue;
+    const a = pattern.split("/");
+    const b = pathname.split("/");
+    if (a.length !== b.length) continue;
+    const params = {};
+    if (a.every((seg, i) => (seg.startsWith(":") ? (params[seg.slice(1)] = decodeURIComponent(b[i]), true) : seg === b[i]))) {
+      return { key, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Start the mock server on 127.0.0.1.
+ * Resolves with { url, state, requests, script(route, response), user(cookie), maxInFlight(route), close() }.
+ * A scripted response is { status, headers, body } (object → JSON) or { status, raw } (sent verbatim).
+ */
+function startMockServer(options = {}) {
+  const state = createState(options);
+  const requests = [];
+  const scripted = new Map();
+  const inFlight = new Map(); // route -> requests being answered
+  const maxInFlight = new Map(); // route -> highest inFlight seen
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const raw = await readBody(req);
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch {
+      body = raw;
+    }
+    const entry = { method: req.method, path: url.pathname, headers: req.headers, body, at: Date.now() };
+    requests.push(entry);
+
+    if (req.method === "POST" && url.pathname.startsWith("/hooks/")) return send(res, 200, { ok: true });
+
+    const match = matchRoute(req.method, url.pathname);
+    if (!match) return send(res, 404, "<html><body><h1>404 Not Found</h1></body></html>");
+    inFlight.set(match.key, (inFlight.get(match.key) || 0) + 1);
+    maxInFlight.set(match.key, Math.max(maxInFlight.get(match.key) || 0, inFlight.get(match.key)));
+    res.on("close", () => inFlight.set(match.key, inFlight.get(match.key) - 1));
+    if (state.latencyMs) await new Promise((resolve) => setTimeout(resolve, state.latencyMs));
+
+    const queue = scripted.get(match.key);
+    if (queue && queue.length > 0) {
+      const r = queue.shift();
+      entry.scripted = true;
+      if (r.delayMs) await new Promise((resolve) => setTimeout(resolve, r.delayMs));
+      if (r.raw !== undefined) return send(res, r.status ?? 200, r.raw, r.headers);
+      return send(res, r.status ?? 200, r.body ?? {}, r.headers);
+    }
+
+    const cookie = req.headers.cookie || "";
+    if (!cookie || state.rejectedCookies.has(cookie)) {
+      return send(res, 401, { success: false, message: "Unauthorized: session expired" });
+    }
+    const [status, out] = ROUTES[match.key]({ state, user: userFor(state, cookie), params: match.params, body });
+    send(res, status, out);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(options.port ?? 0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        state,
+        requests,
+        script(route, ...responses) {
+          if (!ROUTES[route]) throw new Error(`Unknown mock route "${route}"`);
+          if (!scripted.has(route)) scripted.set(route, []);
+          scripted.get(route).push(...responses);
+        },
+        user: (cookie) => userFor(state, cookie),
+        maxInFlight: (route) => maxInFlight.get(route) || 0,
+        close: () => new Promise((r) => {
+          server.closeAllConnections?.();
+          server.close(() => r());
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startMockServer, LOOTBOXES, DEFAULT_TASKS };
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || 8787);
+  startMockServer({ port, startBalance: 200 }).then((s) => {
+    console.log(`Mock Xage server listening on ${s.url}`);
+    console.log(`Run the bot against it with: XAGE_BASE_URL=${s.url} node index.js`);
+  });
+}
@@ -0,0 +1,1171 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startMockServer } = require("./mock-server");
+const { count, makeTempDir, readConfig, readJournal, runBot, writeConfig, writeJournal } = require("./helpers");
+
+const COOKIE = "GAESA=g1; connect.sid=s1";
+
+async function setup(t, serverOptions = {}, cfg = {}) {
+  const server = await startMockServer(serverOptions);
+  t.after(() => server.close());
+  const dir = makeTempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeConfig(dir, { accounts: [{ label: "acc1", cookie: COOKIE }], ...cfg });
+  return { server, dir };
+}
+
+const posts = (server, p) => server.requests.filter((r) => r.method === "POST" && r.path.startsWith(p) && !r.scripted);
+
+test("tasks: completes every pending task", async (t) => {
+  const { server, dir } = await setup(t);
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 2);
+  assert.match(res.output, /"acc1" pending tasks: 2/);
+  assert.match(res.output, /All accounts processed \(TASKS\)/);
+  assert.strictEqual(server.user(COOKIE).points, 1110);
+});
+
+test("tasks: retries after 429 with Retry-After", async (t) => {
+  const { server, dir } = await setup(t);
+  server.script("POST /api/tasks/:id/complete", { status: 429, headers: { "retry-after": "1" }, body: {} });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /HTTP 429 while completing a task\. Waiting 1000ms \(Retry-After=1\)/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 2);
+});
+
+test("tradex: Ctrl+C cuts a 429 back-off short", async (t) => {
+  const { server, dir } = await setup(t);
+  server.script("POST /api/simulex/tokens", { status: 429, headers: { "retry-after": "60" }, body: {} });
+  const started = Date.now();
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => out.includes("Waiting 60000ms") });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.ok(Date.now() - started < 10000, `took ${Date.now() - started}ms`);
+  assert.match(res.output, /TradeX stopped gracefully/);
+  assert.strictEqual(server.requests.filter((r) => r.path === "/api/simulex/tokens").length, 1);
+});
+
+test("tasks: a 429 on the cookie check is retried", async (t) => {
+  const { server, dir } = await setup(t);
+  server.script("GET /api/auth/me", { status: 429, headers: { "retry-after": "0" }, body: {} });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /HTTP 429 while checking the cookie\. Waiting/);
+  assert.doesNotMatch(res.output, /failed/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 2);
+});
+
+test("tasks: gives up after retry.maxAttempts 429s", async (t) => {
+  const { server, dir } = await setup(t);
+  const tooMany = { status: 429, body: {} };
+  server.script("POST /api/tasks/:id/complete", tooMany, tooMany, tooMany);
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(res.output, /failed to complete task id=follow-x: HTTP 429: RATE_LIMIT/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 1); // only the second task went through
+});
+
+test("tasks: expired cookie with --yes suspends the account instead of prompting", async (t) => {
+  const { server, dir } = await setup(t, { rejectedCookies: [COOKIE] });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(res.output, /"acc1" suspended: Cookie invalid\/expired\./);
+  assert.match(res.output, /Account "acc1" failed: "acc1" is suspended/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 0);
+  const { suspended } = readConfig(dir).accounts[0];
+  assert.strictEqual(suspended.reason, "Cookie invalid/expired.");
+  assert.ok(!Number.isNaN(Date.parse(suspended.at)));
+
+  // Suspended accounts are skipped without touching the API
+  const before = server.requests.length;
+  const again = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(again.output, /Skipping "acc1": suspended/);
+  assert.strictEqual(server.requests.length, before);
+});
+
+test("tasks: auth.onExpired=prompt with --yes fails instead of prompting", async (t) => {
+  const { server, dir } = await setup(t, { rejectedCookies: [COOKIE] }, { settings: { auth: { onExpired: "prompt" } } });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(res.output, /Account "acc1" failed: Input required but running non-interactively/);
+  assert.strictEqual(readConfig(dir).accounts[0].suspended, undefined);
+});
+
+test("tasks: HTML error page from /api/tasks is reported", async (t) => {
+  const { server, dir } = await setup(t);
+  server.script("GET /api/tasks", { status: 502, raw: "<html><body>Bad Gateway</body></html>" });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(res.output, /Account "acc1" failed: Response is not JSON\. HTTP 502/);
+});
+
+test("tasks: --account limits the run", async (t) => {
+  const { server, dir } = await setup(t, {}, {
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: "GAESA=g2; connect.sid=s2" }],
+  });
+  const res = await runBot(["tasks", "--yes", "--account", "acc2"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.doesNotMatch(res.output, /ACCOUNT: acc1/);
+  assert.strictEqual(server.state.users.has(COOKIE), false);
+});
+
+test("tasks: accounts run in parallel with labelled log lines", async (t) => {
+  const cookie2 = "GAESA=g2; connect.sid=s2";
+  const { server, dir } = await setup(t, { latencyMs: 100 }, {
+    settings: { concurrency: { accounts: 2 } },
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: cookie2 }],
+  });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /\[acc1\] "acc1" pending tasks: 2/);
+  assert.match(res.output, /\[acc2\] "acc2" pending tasks: 2/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 4);
+  // Both accounts were talking to the server at the same time
+  assert.strictEqual(server.maxInFlight("GET /api/auth/me"), 2);
+});
+
+test("tasks: maxRequestsPerSecond spaces out requests", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { concurrency: { maxRequestsPerSecond: 5 } } });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  const times = server.requests.map((r) => r.at);
+  assert.strictEqual(times.length, 8); // me, tasks, (complete, me) x2, reconciliation tasks + me
+  // 7 gaps of 200ms = 1.4s; unthrottled the run takes a few ms. The bound leaves room for a slow machine.
+  assert.ok(times[7] - times[0] >= 1000, `span ${times[7] - times[0]}ms`);
+});
+
+test("tasks --dry-run reads tasks but only prints the completions", async (t) => {
+  const { server, dir } = await setup(t);
+  // Without a label this config would normally be rewritten at startup
+  const config = JSON.stringify({ settings: { tasks: { delayMinMs: 15000, delayMaxMs: 15000 } }, accounts: [{ cookie: COOKIE }] });
+  fs.writeFileSync(path.join(dir, "config.json"), config);
+  const res = await runBot(["tasks", "--yes", "--dry-run", "--speed", "1000"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.strictEqual(server.requests.filter((r) => r.method !== "GET").length, 0);
+  assert.match(res.output, /DRY RUN POST http:\/\/127\.0\.0\.1:\d+\/api\/tasks\/follow-x\/complete/);
+  assert.match(res.output, /headers: \{[^\n]*"cookie":"<redacted: GAESA, connect\.sid>"/);
+  assert.doesNotMatch(res.output, /g1|s1/);
+  assert.match(res.output, /task delay: 0\.015s/);
+  assert.strictEqual(fs.existsSync(path.join(dir, "journal.jsonl")), false);
+  assert.strictEqual(fs.existsSync(path.join(dir, "history.jsonl")), false);
+  assert.strictEqual(fs.readFileSync(path.join(dir, "config.json"), "utf8"), config);
+});
+
+test("--log-json prints one JSON object per line with level, mode and account", async (t) => {
+  const { server, dir } = await setup(t);
+  const res = await runBot(["tasks", "--yes", "--log-json", "--log-level", "debug"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  const lines = res.output.trim().split("\n").map((l) => JSON.parse(l));
+  assert.ok(lines.every((l) => l.mode === "tasks" && !Number.isNaN(Date.parse(l.ts))));
+  assert.ok(lines.some((l) => l.level === "debug" && /^POST \S+\/api\/tasks\/follow-x\/complete → HTTP 200/.test(l.msg)));
+  assert.ok(lines.some((l) => l.level === "info" && l.account === "acc1" && /^START \(acc1\) \| xHandle=mock_user_1/.test(l.msg)));
+  assert.ok(lines.some((l) => l.ok === true && l.msg === "All accounts processed (TASKS)."));
+
+  const quiet = await runBot(["tasks", "--yes", "--log-level", "warn"], { server, dir });
+  assert.strictEqual(quiet.code, 0, quiet.output);
+  assert.strictEqual(quiet.output, "");
+});
+
+test("settings.log.file writes an uncoloured, timestamped log and rotates it by size", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { log: { file: "logs/xage.log", maxFileBytes: 600, maxFiles: 2 } } });
+  for (let i = 0; i < 3; i++) {
+    const res = await runBot(["tasks", "--yes"], { server, dir });
+    assert.strictEqual(res.code, 0, res.output);
+  }
+  const logs = path.join(dir, "logs");
+  assert.deepStrictEqual(fs.readdirSync(logs).sort(), ["xage.log", "xage.log.1", "xage.log.2"]);
+  for (const name of fs.readdirSync(logs)) {
+    const text = fs.readFileSync(path.join(logs, name), "utf8");
+    assert.ok(Buffer.byteLength(text) <= 600, `${name} is ${Buffer.byteLength(text)} bytes`);
+    assert.doesNotMatch(text, /\x1b\[/);
+    for (const line of text.trim().split("\n")) assert.match(line, /^\d{4}-\d\d-\d\dT\S+Z \[(INFO|OK|WARN)\]\s+\[tasks\] /);
+  }
+  assert.match(fs.readFileSync(path.join(logs, "xage.log"), "utf8"), /\[OK\]\s+\[tasks\] All accounts processed \(TASKS\)\./);
+});
+
+test("tasks: allow/deny filters skip tasks with a reason", async (t) => {
+  const tasks = [
+    { id: "follow-x", name: "Follow on X", type: "social", points: 100, completed: false },
+    { id: "daily-login", name: "Daily login", type: "daily", points: 10, completed: false },
+    { id: "daily-quiz", name: "Daily quiz", type: "daily", points: 20, completed: false },
+    { id: "retweet", name: "Retweet the launch", type: "daily", points: 30, completed: false },
+  ];
+  const { server, dir } = await setup(t, { tasks }, {
+    settings: { tasks: { allowTypes: ["daily"], denyIds: ["daily-quiz"], denyNames: ["^retweet"] } },
+  });
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.deepStrictEqual(posts(server, "/api/tasks/").map((r) => r.path), ["/api/tasks/daily-login/complete"]);
+  assert.match(res.output, /skipping task "Follow on X" \(id=follow-x\): type "social" is not in allowTypes/);
+  assert.match(res.output, /skipping task "Daily quiz" \(id=daily-quiz\): id is in denyIds/);
+  assert.match(res.output, /skipping task "Retweet the launch" \(id=retweet\): name matches denyNames/);
+});
+
+test("tasks: reconciliation confirms completion and flags a points mismatch", async (t) => {
+  const { server, dir } = await setup(t);
+  let res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /all 2 claimed task\(s\) confirmed completed/);
+  assert.match(res.output, /points \+110 match the 110 awarded/);
+  let rec = readJournal(dir).filter((e) => e.type === "task.reconcile");
+  assert.deepStrictEqual(rec.map((e) => [e.ok, e.awarded, e.pointsDelta]), [[true, 110, 110]]);
+
+  // The API claims success but the task stays open and no points arrive
+  const dir2 = makeTempDir();
+  t.after(() => fs.rmSync(dir2, { recursive: true, force: true }));
+  writeConfig(dir2, { accounts: [{ label: "acc1", cookie: "GAESA=g2; connect.sid=s2" }] });
+  server.state.tasks = [{ id: "ghost", name: "Ghost", type: "daily", points: 5, completed: false }];
+  server.script("POST /api/tasks/:id/complete", { body: { success: true, pointsAwarded: 5, newTotal: 1005 } });
+  res = await runBot(["tasks", "--yes"], { server, dir: dir2 });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /tasks not marked completed after claiming: ghost/);
+  assert.match(res.output, /points changed by 0 but tasks reported 5 awarded/);
+  rec = readJournal(dir2).filter((e) => e.type === "task.reconcile");
+  assert.deepStrictEqual(rec.map((e) => [e.ok, e.unconfirmed]), [[false, ["ghost"]]]);
+});
+
+test("tasks: --watch picks up new tasks on the next check until Ctrl+C", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { tasks: { watchIntervalMs: 300 } } });
+  let added = false;
+  const res = await runBot(["tasks", "--yes", "--watch"], {
+    server,
+    dir,
+    stopWhen: (out) => {
+      if (!added && count(out, "All accounts processed") >= 1) {
+        added = true;
+        server.user(COOKIE).tasks.push({ id: "new-task", name: "New task", type: "daily", points: 5, completed: false });
+      }
+      return count(out, "All accounts processed") >= 2;
+    },
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Next task check in: 0.3s/);
+  assert.match(res.output, /Tasks watch stopped gracefully/);
+  assert.deepStrictEqual(posts(server, "/api/tasks/").map((r) => r.path).slice(-1), ["/api/tasks/new-task/complete"]);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 3);
+});
+
+test("tasks: --watch stops in the middle of a task delay", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { tasks: { delayMinMs: 60000, delayMaxMs: 60000 } } });
+  const started = Date.now();
+  const res = await runBot(["tasks", "--yes", "--watch"], { server, dir, stopWhen: (out) => out.includes("task delay: 60s") });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.ok(Date.now() - started < 10000);
+  assert.match(res.output, /task delay interrupted \(Ctrl\+C\)/);
+  assert.match(res.output, /"acc1" stopped before its remaining tasks/);
+  assert.match(res.output, /Tasks watch stopped gracefully/);
+  assert.strictEqual(posts(server, "/api/tasks/").length, 0);
+});
+
+test("tradex: creates tokens across groups until Ctrl+C", async (t) => {
+  const { server, dir } = await setup(t);
+  const res = await runBot(["tradex", "--yes"], {
+    server,
+    dir,
+    stopWhen: (out) => count(out, "token created") >= 3,
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /NEW GROUP #2/);
+  assert.match(res.output, /TradeX stopped gracefully/);
+  const tokens = server.user(COOKIE).tokens;
+  assert.ok(tokens.length >= 3);
+  assert.strictEqual(tokens[0].ttlSeconds, 300);
+  assert.match(tokens[0].ticker, /^[A-Z]{3,4}$/);
+});
+
+test("tradex: token metadata from token-templates.json, tickers never reused, images inlined", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { tradex: { generator: "list" } } });
+  fs.mkdirSync(path.join(dir, "img"));
+  fs.writeFileSync(path.join(dir, "img", "cat.png"), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  fs.writeFileSync(path.join(dir, "img", "notes.txt"), "not an image");
+  const templates = path.join(dir, "tokens.json");
+  fs.writeFileSync(templates, JSON.stringify({
+    tokens: [{ name: "Moon Cat", ticker: "MCAT" }, { name: "Solar Owl" }],
+    descriptions: ["{name} is {ticker}"],
+    ttlSeconds: [600],
+    imagesDir: "img",
+  }));
+  writeJournal(dir, [{ ts: "2020-01-01T00:00:00.000Z", account: "other", type: "tradex.create", ok: true, name: "Moon Cat", ticker: "MCAT" }]);
+
+  const res = await runBot(["tradex", "--yes"], {
+    server, dir, env: { XAGE_TOKEN_TEMPLATES: templates }, stopWhen: (out) => count(out, "token created") >= 3,
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  const tokens = server.user(COOKIE).tokens;
+  assert.strictEqual(tokens[0].name, "Solar Owl");
+  assert.strictEqual(tokens[0].ticker, "SOWL");
+  assert.strictEqual(tokens[0].description, "Solar Owl is SOWL");
+  assert.strictEqual(tokens[0].ttlSeconds, 600);
+  assert.strictEqual(tokens[0].image, "data:image/png;base64,iVBORw==");
+  const tickers = tokens.map((tk) => tk.ticker);
+  assert.strictEqual(new Set([...tickers, "MCAT"]).size, tickers.length + 1);
+  assert.match(res.output, /image=cat\.png/);
+  assert.strictEqual(readJournal(dir).filter((e) => e.image === "cat.png").length, tokens.length);
+});
+
+test("tradex: auto-opens lootboxes above the threshold, keeping the reserve", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 100 }, {
+    settings: { tradex: { autoOpenBoxId: 1, autoOpenAbove: 80, autoOpenReserve: 40 } },
+  });
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 2 });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /balance 100 is above 80: auto-opening 🥉 Bronze Box, keeping 40/);
+  assert.match(res.output, /auto-open finished: 2 🥉 opened/);
+  // 100 → 50 after two boxes; the second round is below the threshold and opens nothing
+  assert.strictEqual(server.user(COOKIE).opened.length, 2);
+  assert.strictEqual(server.user(COOKIE).balances.tradex, 50);
+  assert.strictEqual(readJournal(dir).filter((e) => e.type === "lootbox.open" && e.ok).length, 2);
+});
+
+test("tradex: auto-open keeps its delay between opens while other accounts finish jobs", async (t) => {
+  const fast = { tradex: { betweenCreationsMinMs: 50, betweenCreationsMaxMs: 50, afterGroupMinMs: 50, afterGroupMaxMs: 50 } };
+  const { server, dir } = await setup(t, { startBalance: 100 }, {
+    settings: { concurrency: { accounts: 2 }, lootbox: { betweenOpensMinMs: 2000, betweenOpensMaxMs: 2000 } },
+    accounts: [
+      { label: "acc1", cookie: COOKIE, settings: { tradex: { autoOpenBoxId: 1, autoOpenAbove: 80, autoOpenReserve: 40 } } },
+      { label: "acc2", cookie: "GAESA=g2; connect.sid=s2", settings: fast },
+    ],
+  });
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => out.includes("auto-open finished") });
+  assert.strictEqual(res.code, 0, res.output);
+  const opens = server.requests.filter((r) => r.method === "POST" && r.path.includes("lootbox")).map((r) => r.at);
+  assert.strictEqual(opens.length, 2, res.output);
+  // acc2 finished several jobs in the meantime, and none of them woke the delay
+  assert.ok(server.user("GAESA=g2; connect.sid=s2").tokens.length >= 3);
+  assert.ok(opens[1] - opens[0] >= 1900, `opens ${opens[1] - opens[0]}ms apart`);
+});
+
+test("journal: records task completions and creations", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 25 });
+  await runBot(["tasks", "--yes"], { server, dir });
+  await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 1 });
+  await runBot(["lootbox", "--yes", "-t", "tradex", "-b", "1"], { server, dir });
+  const journal = readJournal(dir);
+  const tasks = journal.filter((e) => e.type === "task.complete");
+  assert.deepStrictEqual(tasks.map((e) => [e.account, e.taskId, e.ok, e.pointsAwarded]), [
+    ["acc1", "follow-x", true, 100],
+    ["acc1", "daily-login", true, 10],
+  ]);
+  const token = journal.find((e) => e.type === "tradex.create");
+  assert.strictEqual(token.group, 1);
+  assert.strictEqual(token.attempt, 1);
+  assert.strictEqual(token.ticker, server.user(COOKIE).tokens[0].ticker);
+  const box = journal.find((e) => e.type === "lootbox.open");
+  assert.deepStrictEqual([box.game, box.lootboxId, box.price, box.prize.type], ["tradex", 1, 25, "xage"]);
+  for (const e of journal) assert.ok(!Number.isNaN(Date.parse(e.ts)));
+});
+
+test("tradex: resumes mid-group after a restart", async (t) => {
+  const { server, dir } = await setup(t, {}, {
+    settings: { tradex: { betweenCreationsMinMs: 1500, betweenCreationsMaxMs: 1500, afterGroupMinMs: 60000, afterGroupMaxMs: 60000 } },
+  });
+  writeJournal(dir, [{ ts: new Date().toISOString(), account: "acc1", type: "tradex.create", ok: true, group: 4, attempt: 1 }]);
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 1 });
+  assert.match(res.output, /"acc1" resuming from journal: last creation was attempt 1\/2 of group #4/);
+  assert.match(res.output, /Next: "acc1" attempt 2\/2 of group #4 in: [0-9.]+s/);
+  assert.match(res.output, /"acc1" TOKEN CREATION \(attempt 2\/2 in group 4\)/);
+  assert.doesNotMatch(res.output, /NEW GROUP/);
+});
+
+test("tradex: waits out the group cool-down after a restart", async (t) => {
+  const { server, dir } = await setup(t, {}, {
+    settings: { tradex: { afterGroupMinMs: 60000, afterGroupMaxMs: 60000 } },
+  });
+  writeJournal(dir, [{ ts: new Date(Date.now() - 59000).toISOString(), account: "acc1", type: "tradex.create", ok: true, group: 2, attempt: 2 }]);
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 1 });
+  assert.match(res.output, /Next: "acc1" attempt 1\/2 of group #3 in: [0-9.]+s/);
+  assert.match(res.output, /"acc1" NEW GROUP #3/);
+  assert.ok(server.requests.find((r) => r.path === "/api/simulex/tokens").at - server.requests[0].at < 5000);
+});
+
+test("tradex: an old journal starts a fresh group", async (t) => {
+  const { server, dir } = await setup(t);
+  writeJournal(dir, [{ ts: "2020-01-01T00:00:00.000Z", account: "acc1", type: "tradex.create", ok: true, group: 7, attempt: 1 }]);
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 1 });
+  const firstWait = res.output.indexOf('Next: "acc1"');
+  assert.ok(firstWait === -1 || firstWait > res.output.indexOf("token created"), "waited before the first creation");
+  assert.match(res.output, /NEW GROUP #8/);
+});
+
+test("tradex: each account follows its own schedule", async (t) => {
+  const { server, dir } = await setup(t, {}, {
+    accounts: [
+      { label: "fast", cookie: COOKIE },
+      // one creation per group and a long cool-down: must not hold "fast" back
+      { label: "slow", cookie: "GAESA=g2; connect.sid=s2", settings: { tradex: { creationsPerGroup: 1, afterGroupMinMs: 60000, afterGroupMaxMs: 60000 } } },
+    ],
+  });
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, '"fast" token created') >= 4 });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.strictEqual(count(res.output, '"slow" token created'), 1);
+  assert.match(res.output, /"fast" NEW GROUP #2/);
+  assert.strictEqual(server.user("GAESA=g2; connect.sid=s2").tokens.length, 1);
+});
+
+test("tradex: due accounts create in parallel up to the concurrency limit", async (t) => {
+  const cookies = ["GAESA=1", "GAESA=2", "GAESA=3"];
+  const { server, dir } = await setup(t, {}, {
+    settings: { concurrency: { accounts: 2 } },
+    accounts: cookies.map((cookie, i) => ({ label: `acc${i + 1}`, cookie })),
+  });
+  // Slow token creation so overlap is observable
+  server.script("POST /api/simulex/tokens", ...[1, 2, 3].map(() => ({ status: 200, body: { success: true, token: { id: 0 } }, delayMs: 300 })));
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 3 });
+  assert.strictEqual(res.code, 0, res.output);
+  // Two creations overlapped, never three
+  assert.strictEqual(server.maxInFlight("POST /api/simulex/tokens"), 2);
+});
+
+test("tradex: an expired account is suspended and resumes when config.json gets a new cookie", async (t) => {
+  const dead = "GAESA=dead";
+  const fresh = "GAESA=fresh";
+  const { server, dir } = await setup(t, { rejectedCookies: [dead] }, {
+    settings: { auth: { recheckIntervalMs: 100 } },
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: dead }],
+  });
+  let edited = false;
+  const res = await runBot(["tradex", "--yes"], {
+    server,
+    dir,
+    stopWhen: (out) => {
+      if (!edited && out.includes('"acc2" suspended')) {
+        edited = true;
+        const cfg = readConfig(dir);
+        cfg.accounts[1].cookie = fresh;
+        fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg, null, 2));
+      }
+      return out.includes('"acc2" token created');
+    },
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /"acc1" token created/);
+  assert.match(res.output, /"acc2" resumed with the new cookie from config\.json/);
+  const acc2 = readConfig(dir).accounts[1];
+  assert.strictEqual(acc2.cookie, fresh);
+  assert.strictEqual(acc2.suspended, undefined);
+  assert.strictEqual(server.user(fresh).tokens.length, 1);
+});
+
+test("accounts reauth lifts a suspension", async (t) => {
+  const { server, dir } = await setup(t, {}, {
+    accounts: [{ label: "acc1", cookie: "GAESA=dead", suspended: { reason: "Cookie invalid/expired.", at: "2026-01-01T00:00:00.000Z", cookieHash: "x" } }],
+  });
+  const list = await runBot(["accounts", "list"], { server, dir });
+  assert.match(list.output, /1\s+acc1\s+suspended/);
+  assert.match(list.output, /"acc1" suspended since 2026-01-01T00:00:00\.000Z: Cookie invalid\/expired\./);
+  const res = await runBot(["accounts", "reauth", "acc1", "--cookie", COOKIE], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  const acc = readConfig(dir).accounts[0];
+  assert.strictEqual(acc.cookie, COOKIE);
+  assert.strictEqual(acc.suspended, undefined);
+});
+
+test("situationx: posts situations from situation.json until Ctrl+C", async (t) => {
+  const { server, dir } = await setup(t);
+  const situations = [
+    { question: "Will it rain tomorrow?", outcomeA: "Yes", outcomeB: "No" },
+    { question: "Will BTC close green today?", outcomeA: "Yes", outcomeB: "No" },
+  ];
+  fs.writeFileSync(path.join(dir, "situation.json"), JSON.stringify(situations));
+  const res = await runBot(["situationx", "--yes"], {
+    server,
+    dir,
+    stopWhen: (out) => count(out, "situation created") >= 2,
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /SituationX stopped gracefully/);
+  const posted = server.user(COOKIE).situations;
+  assert.ok(posted.length >= 2);
+  for (const s of posted) assert.ok(situations.some((x) => x.question === s.question));
+  assert.notStrictEqual(posted[0].question, posted[1].question);
+});
+
+test("situationx: a pool of 200k questions from a .txt file works", async (t) => {
+  const { server, dir } = await setup(t);
+  const file = path.join(dir, "questions.txt");
+  fs.writeFileSync(file, Array.from({ length: 200000 }, (_, i) => `Will event ${i} happen?`).join("\n"));
+  const res = await runBot(["situationx", "--yes"], {
+    server, dir, env: { XAGE_SITUATIONS: file }, timeoutMs: 60000, stopWhen: (out) => count(out, "situation created") >= 2,
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Loaded 200000 situations, 200000 not used yet/);
+  const posted = server.user(COOKIE).situations;
+  assert.ok(posted.length >= 2);
+  assert.notStrictEqual(posted[0].question, posted[1].question);
+});
+
+test("situationx: unused situations go first, onExhausted=stop ends the loop", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { situationx: { onExhausted: "stop" } } });
+  const situations = ["Q1?", "Q2?", "Q3?"].map((question) => ({ question, outcomeA: "Yes", outcomeB: "No" }));
+  fs.writeFileSync(path.join(dir, "situation.json"), JSON.stringify(situations));
+  const ts = "2020-01-01T00:00:00.000Z";
+  writeJournal(dir, [
+    { ts, account: "other", type: "situationx.create", ok: true, question: "Q1?" },
+    { ts, account: "acc1", type: "situationx.create", ok: false, question: "Q2?" },
+    { ts, account: "acc1", type: "situationx.create", ok: true, question: " q3? " },
+  ]);
+
+  const res = await runBot(["situationx", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Loaded 3 situations, 1 not used yet/);
+  assert.deepStrictEqual(server.user(COOKIE).situations.map((s) => s.question), ["Q2?"]);
+  assert.match(res.output, /All 3 situations have been used \(settings\.situationx\.onExhausted = "stop"\)/);
+
+  const report = await runBot(["situations", "report"], { server, dir });
+  assert.strictEqual(report.code, 0, report.output);
+  assert.match(report.output, /acc1\s+2\s+2\s+1/);
+  assert.match(report.output, /other\s+1\s+1\s+2/);
+  assert.match(report.output, /3 situations: 3 used \(0 more than once\), 0 unused/);
+});
+
+test("situations generate fills situation.json; source=generator posts generated ones", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { situationx: { source: "generator" } } });
+  const templates = path.join(dir, "templates.json");
+  fs.writeFileSync(templates, `{
+    // two lists, one template
+    "lists": { "coin": ["BTC", "ETH", "SOL"] },
+    "templates": [{ "question": "Will {coin} beat {coin2} in {year}?", "outcomeA": "{coin}", "outcomeB": "{coin2}" }],
+  }`);
+  fs.writeFileSync(path.join(dir, "situation.json"), '[{ "question": "Will BTC beat ETH in 2099?", "outcomeA": "BTC", "outcomeB": "ETH" }] // keep');
+  const env = { XAGE_SITUATION_TEMPLATES: templates };
+
+  const gen = await runBot(["situations", "generate", "--count", "4"], { server, dir, env });
+  assert.strictEqual(gen.code, 0, gen.output);
+  assert.match(gen.output, /Added 4 generated situations to situation\.json \(5 in total\)/);
+  const written = JSON.parse(fs.readFileSync(path.join(dir, "situation.json"), "utf8"));
+  assert.strictEqual(written[0].question, "Will BTC beat ETH in 2099?");
+  for (const s of written.slice(1)) {
+    assert.match(s.question, new RegExp(`^Will (\\w+) beat (\\w+) in ${new Date().getFullYear()}\\?$`));
+    assert.notStrictEqual(s.outcomeA, s.outcomeB);
+  }
+
+  const res = await runBot(["situationx", "--yes"], { server, dir, env, stopWhen: (out) => count(out, "situation created") >= 1 });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Generated 6 situations from templates\.json/);
+  assert.match(server.user(COOKIE).situations[0].question, /^Will \w+ beat \w+ in \d{4}\?$/);
+});
+
+test("situationx: source=generator rebuilds the pool when its dates move on", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { situationx: { source: "generator" } } });
+  const templates = path.join(dir, "templates.json");
+  fs.writeFileSync(templates, JSON.stringify({
+    lists: { coin: ["BTC", "ETH", "SOL"] },
+    templates: [{ question: "Will {coin} beat {coin2} in {year}?", outcomeA: "{coin}", outcomeB: "{coin2}" }],
+  }));
+  // The clock of the bot jumps 400 days ahead shortly after it starts
+  const clock = path.join(dir, "clock.js");
+  fs.writeFileSync(clock, `
+    const RealDate = Date;
+    let offset = 0;
+    setTimeout(() => { offset = 400 * 86400000; }, 300).unref();
+    global.Date = class extends RealDate {
+      constructor(...args) { if (args.length === 0) super(RealDate.now() + offset); else super(...args); }
+      static now() { return RealDate.now() + offset; }
+    };
+  `);
+  const year = new Date().getFullYear();
+  const res = await runBot(["situationx", "--yes"], {
+    server,
+    dir,
+    env: { XAGE_SITUATION_TEMPLATES: templates, NODE_OPTIONS: `--require ${clock}` },
+    stopWhen: (out) => count(out, `in ${year + 1}?`) >= 2,
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Dates moved on: rebuilt the situation pool \(6 situations, 6 not used yet\)/);
+  const questions = server.user(COOKIE).situations.map((s) => s.question);
+  const first = questions.findIndex((q) => q.endsWith(`in ${year + 1}?`));
+  assert.ok(first > 0);
+  assert.ok(questions.slice(first).every((q) => q.endsWith(`in ${year + 1}?`)), questions.join("\n"));
+});
+
+test("situationx: onExhausted=warn reposts, preferring questions the account has not posted", async (t) => {
+  const { server, dir } = await setup(t);
+  const situations = ["Q1?", "Q2?"].map((question) => ({ question, outcomeA: "Yes", outcomeB: "No" }));
+  fs.writeFileSync(path.join(dir, "situation.json"), JSON.stringify(situations));
+  writeJournal(dir, [
+    { ts: "2020-01-01T00:00:00.000Z", account: "acc1", type: "situationx.create", ok: true, question: "Q1?" },
+    { ts: "2020-01-01T00:00:00.000Z", account: "other", type: "situationx.create", ok: true, question: "Q2?" },
+  ]);
+  const res = await runBot(["situationx", "--yes"], { server, dir, stopWhen: (out) => count(out, "situation created") >= 1 });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Reposting "Q2\?" \(already used 1x\)/);
+  assert.strictEqual(server.user(COOKIE).situations[0].question, "Q2?");
+});
+
+test("lootbox: --repeat opens until the balance runs out", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 60 });
+  const res = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--repeat"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Balance not enough for Bronze Box \(25\)/);
+  assert.match(res.output, /"acc1" finished\. Total opened: 2/);
+  assert.strictEqual(server.user(COOKIE).balances.tradex, 10);
+});
+
+test("lootbox: prices and boxes come from the API response", async (t) => {
+  const lootboxes = [
+    { id: 1, name: "Bronze Box", price: 40 },
+    { id: 3, name: "Gold Box", price: 150, available: false },
+    { id: 4, name: "Diamond Box", price: 90 },
+  ];
+  const { server, dir } = await setup(t, { startBalance: 100, lootboxes });
+  const bronze = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--repeat"], { server, dir });
+  assert.strictEqual(bronze.code, 0, bronze.output);
+  assert.match(bronze.output, /Balance not enough for Bronze Box \(40\)/);
+  assert.strictEqual(server.user(COOKIE).balances.tradex, 20);
+
+  const gold = await runBot(["lootbox", "--yes", "--type", "situationx", "--box", "3"], { server, dir });
+  assert.match(gold.output, /Gold Box is not available right now/);
+  const missing = await runBot(["lootbox", "--yes", "--type", "situationx", "--box", "2"], { server, dir });
+  assert.match(missing.output, /no SituationX lootbox with id 2 \(available: 1=Bronze Box, 4=Diamond Box, 3=Gold Box\)/);
+  const diamond = await runBot(["lootbox", "--yes", "--type", "situationx", "--box", "4"], { server, dir });
+  assert.match(diamond.output, /Target: 🎁 Diamond Box/);
+  assert.strictEqual(server.user(COOKIE).balances.situationx, 10);
+  assert.strictEqual(readJournal(dir).at(-1).price, 90);
+});
+
+test("lootbox: falls back to the built-in prices when the list has no prices", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 60 });
+  server.script("GET /api/simulex/lootboxes", { body: { success: true, lootboxes: [{ id: 2 }, { name: "?" }] } });
+  const res = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "2"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Target: 🥈 Silver Box/);
+  assert.strictEqual(server.user(COOKIE).balances.tradex, 0);
+
+  server.script("GET /api/situationx/lootboxes", { body: { success: true } });
+  const empty = await runBot(["lootbox", "--yes", "--type", "situationx", "--box", "1"], { server, dir });
+  assert.match(empty.output, /using the built-in Bronze\/Silver\/Gold prices/);
+  assert.match(empty.output, /Target: 🥉 Bronze Box/);
+});
+
+test("lootbox: prices of 0, below 0 or empty fall back to the built-in ones", async (t) => {
+  const lootboxes = [
+    { id: 1, name: "Bronze Box", price: 0 },
+    { id: 2, name: "Silver Box", price: -5 },
+    { id: 4, name: "Diamond Box", price: "" },
+  ];
+  const { server, dir } = await setup(t, { startBalance: 60, lootboxes });
+  const res = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--repeat", "--dry-run"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /acc1\s+tradex\s+🥉 Bronze Box \(25\)\s+60\s+-\s+-\s+-\s+2\s+50/);
+  const missing = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "4"], { server, dir });
+  assert.match(missing.output, /no TradeX lootbox with id 4 \(available: 1=Bronze Box, 2=Silver Box\)/);
+});
+
+test("lootbox: --yes without --type/--box or a configured strategy is an error", async (t) => {
+  const { server, dir } = await setup(t);
+  const res = await runBot(["lootbox", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 1);
+  assert.match(res.output, /needs --type and --box, or settings\.lootbox\.game and boxId \(missing for "acc1"\)/);
+});
+
+test("lootbox: per-account strategy runs unattended with budgets, reserves and jackpot stop", async (t) => {
+  const cookie2 = "GAESA=g2";
+  const cookie3 = "GAESA=g3";
+  const { server, dir } = await setup(t, { startBalance: 200, prizes: [{ type: "xage", amount: 1 }, { type: "usdt", amount: 1 }] }, {
+    settings: { lootbox: { game: "tradex", boxId: 1, reserve: 100 } },
+    accounts: [
+      { label: "acc1", cookie: COOKIE },
+      { label: "acc2", cookie: cookie2, settings: { lootbox: { game: "situationx", boxId: 2, reserve: 0, maxSpend: 150 } } },
+      { label: "acc3", cookie: cookie3, settings: { lootbox: { maxOpens: 3, stopAfterJackpot: true } } },
+    ],
+  });
+
+  const preview = await runBot(["lootbox", "--yes", "--dry-run"], { server, dir });
+  assert.strictEqual(preview.code, 0, preview.output);
+  assert.match(preview.output, /acc1\s+tradex\s+🥉 Bronze Box \(25\)\s+200\s+100\s+-\s+-\s+4\s+100/);
+  assert.match(preview.output, /acc2\s+situationx\s+🥈 Silver Box \(60\)\s+200\s+-\s+150\s+-\s+2\s+120/);
+  assert.match(preview.output, /acc3\s+tradex\s+🥉 Bronze Box \(25\)\s+200\s+100\s+-\s+3\s+3\s+75/);
+  assert.strictEqual(posts(server, "/api/").length, 0);
+
+  const res = await runBot(["lootbox", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.strictEqual(server.user(COOKIE).opened.length, 4); // 200 → 102, a fifth box would dip into the reserve
+  assert.ok(server.user(COOKIE).balances.tradex >= 100);
+  assert.strictEqual(server.user(cookie2).opened.length, 2);
+  assert.match(res.output, /Spend limit reached: 120 of 150 spent/);
+  assert.strictEqual(server.user(cookie3).opened.length, 2);
+  assert.match(res.output, /Stopping after the USDT jackpot/);
+});
+
+test("tradex/situationx --dry-run preview the creations with compressed delays", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 100 }, {
+    settings: { situationx: { autoOpenBoxId: 1, autoOpenAbove: 50, autoOpenReserve: 40 } },
+  });
+  const tradex = await runBot(["tradex", "--yes", "--dry-run", "--speed", "10000"], {
+    server,
+    dir,
+    stopWhen: (out) => count(out, "token created") >= 3,
+  });
+  assert.strictEqual(tradex.code, 0, tradex.output);
+  assert.match(tradex.output, /NEW GROUP #2/);
+  assert.match(tradex.output, /payload: \{"name":"[^"]+","ticker":"[A-Z]+","description":"[^"]+","ttlSeconds":300,"image":null\}/);
+  assert.match(tradex.output, /token created: id=dry-run/);
+
+  fs.writeFileSync(path.join(dir, "situation.json"), JSON.stringify([{ question: "Will it rain in Paris tomorrow?", outcomeA: "Yes", outcomeB: "No" }]));
+
+  const situationx = await runBot(["situationx", "--yes", "--dry-run", "--speed", "10000"], {
+    server,
+    dir,
+    stopWhen: (out) => count(out, "auto-open finished") >= 1,
+  });
+  assert.strictEqual(situationx.code, 0, situationx.output);
+  assert.match(situationx.output, /DRY RUN POST \S+\/api\/situationx\/situations/);
+  // 100 → 75 → 50 (previewed), a third Bronze box would dip below the reserve of 40
+  assert.match(situationx.output, /auto-open finished: 2 🥉 opened/);
+  assert.strictEqual(server.requests.filter((r) => r.method !== "GET").length, 0);
+  assert.strictEqual(fs.existsSync(path.join(dir, "journal.jsonl")), false);
+});
+
+test("report lootbox summarizes the prize ledger per box and per account", async (t) => {
+  const { server, dir } = await setup(t, {}, { accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: "GAESA=2" }] });
+  const ts = "2026-01-01T00:00:00.000Z";
+  const open = (account, game, lootboxId, price, type, amount, wonUsdt = false) =>
+    ({ ts, account, type: "lootbox.open", ok: true, game, lootboxId, box: lootboxId === 1 ? "Bronze Box" : "Gold Box", price, prize: { type, amount }, wonUsdt });
+  writeJournal(dir, [
+    open("acc1", "tradex", 1, 25, "xage", 40),
+    open("acc1", "tradex", 1, 25, "xage-usdt", 10),
+    open("acc2", "tradex", 1, 25, "xage-usdt", 20),
+    open("acc2", "tradex", 1, 25, "usdt", 100, true),
+    open("acc2", "situationx", 3, 150, "xage-usdt", 90),
+    { ts, account: "acc1", type: "lootbox.open", ok: false, game: "tradex", lootboxId: 1, price: 25, error: "HTTP 500" },
+  ]);
+
+  const res = await runBot(["report", "lootbox"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /tradex\s+1 Bronze Box\s+4\s+25\s+32\.5\s+130\.0%\s+10\s+1 \(25\.0%\)/);
+  assert.match(res.output, /situationx\s+3 Gold Box\s+1\s+150\s+90\s+60\.0%\s+0\s+0 \(0\.0%\)/);
+  assert.match(res.output, /tradex\s+1\s+xage-usdt\s+2\s+50\.0%\s+15/);
+  assert.match(res.output, /acc1\s+2\s+50\s+10\s+-40\s+40\s+0/);
+  assert.match(res.output, /acc2\s+3\s+200\s+210\s+10\s+0\s+1/);
+  assert.match(res.output, /total\s+5\s+250\s+220\s+-30\s+40\s+1/);
+
+  const filtered = await runBot(["report", "lootbox", "--type", "situationx", "-a", "acc2"], { server, dir });
+  assert.doesNotMatch(filtered.output, /Bronze/);
+  assert.match(filtered.output, /total\s+1\s+150\s+90\s+-60/);
+});
+
+test("points and balances are sampled into history.jsonl", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 30 });
+  await runBot(["tasks", "--yes"], { server, dir });
+  await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--once"], { server, dir });
+  const history = fs.readFileSync(path.join(dir, "history.jsonl"), "utf8").split("\n").filter(Boolean).map((l) => JSON.parse(l));
+  assert.ok(history.every((s) => s.account === "acc1" && !Number.isNaN(Date.parse(s.ts))));
+  // unchanged values are not repeated within a run
+  assert.deepStrictEqual(history.filter((s) => s.metric === "points").map((s) => s.value), [1000, 1100, 1110, 1110]);
+  assert.deepStrictEqual(history.filter((s) => s.metric === "tradex").map((s) => s.value), [30]);
+});
+
+test("report history writes per-account and total growth as CSV and HTML", async (t) => {
+  const { server, dir } = await setup(t, {}, { accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: "GAESA=2" }] });
+  const sample = (ts, account, metric, value) => JSON.stringify({ ts, account, metric, value }) + "\n";
+  fs.writeFileSync(path.join(dir, "history.jsonl"), [
+    sample("2026-02-28T10:00:00.000Z", "acc1", "points", 900),
+    sample("2026-03-01T10:00:00.000Z", "acc1", "points", 1000),
+    sample("2026-03-01T10:00:00.000Z", "acc1", "tradex", 50),
+    sample("2026-03-01T23:00:00.000Z", "acc1", "points", 1100),
+    sample("2026-03-02T09:00:00.000Z", "acc2", "points", 500),
+    sample("2026-03-03T09:00:00.000Z", "acc1", "points", 1300),
+    sample("2026-03-03T09:00:00.000Z", "acc2", "points", 650),
+    sample("2026-03-09T09:00:00.000Z", "acc1", "points", 5000),
+  ].join("") + "{cut off\n");
+  const out = path.join(dir, "reports");
+
+  const res = await runBot(["report", "history", "--from", "2026-03-01", "--to", "2026-03-03", "--out", out], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Growth 2026-03-01 – 2026-03-03/);
+  assert.match(res.output, /acc1\s+1300\s+\+200\s+50\s+\+0\s+-\s+-/);
+  assert.match(res.output, /acc2\s+650\s+\+150\s+-\s+-/);
+  assert.match(res.output, /total\s+1950\s+\+850/);
+
+  const csv = fs.readFileSync(path.join(out, "history-2026-03-01_2026-03-03.csv"), "utf8").trim().split("\n");
+  assert.deepStrictEqual(csv, [
+    "date,account,points,tradex,situationx",
+    "2026-03-01,acc1,1100,50,",
+    "2026-03-01,total,1100,50,",
+    "2026-03-02,acc1,1100,50,",
+    "2026-03-02,acc2,500,,",
+    "2026-03-02,total,1600,50,",
+    "2026-03-03,acc1,1300,50,",
+    "2026-03-03,acc2,650,,",
+    "2026-03-03,total,1950,50,",
+  ]);
+  const html = fs.readFileSync(path.join(out, "history-2026-03-01_2026-03-03.html"), "utf8");
+  assert.match(html, /<svg viewBox/);
+  assert.match(html, /<td>acc2<\/td><td>650<\/td><td>\+150<\/td>/);
+  assert.doesNotMatch(html, /<script|https?:\/\//);
+
+  const empty = await runBot(["report", "history", "--from", "2025-01-01", "--to", "2025-01-31"], { server, dir });
+  assert.match(empty.output, /No points\/balance history in that range yet/);
+});
+
+const hooks = (server, name) => server.requests.filter((r) => r.path === `/hooks/${name}`).map((r) => r.body);
+
+test("webhooks: a suspended account is announced in generic, Discord and Telegram shape", async (t) => {
+  const { server, dir } = await setup(t, { rejectedCookies: [COOKIE] });
+  const cfg = readConfig(dir);
+  cfg.webhooks = [
+    { type: "generic", url: `${server.url}/hooks/generic`, headers: { authorization: "Bearer abc" } },
+    { type: "discord", url: `${server.url}/hooks/discord` },
+    { type: "telegram", url: `${server.url}/hooks/telegram`, chatId: "42" },
+    { type: "generic", url: `${server.url}/hooks/jackpots-only`, events: ["jackpot"] },
+  ];
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg));
+
+  const res = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  const [generic] = hooks(server, "generic");
+  assert.strictEqual(generic.event, "cookieExpired");
+  assert.strictEqual(generic.account, "acc1");
+  assert.match(generic.text, /^Cookie expired \(acc1\): Account suspended: Cookie invalid\/expired\./);
+  assert.strictEqual(server.requests.find((r) => r.path === "/hooks/generic").headers.authorization, "Bearer abc");
+  assert.deepStrictEqual(hooks(server, "discord"), [{ content: `**Xage bot** — ${generic.text}` }]);
+  assert.deepStrictEqual(hooks(server, "telegram"), [{ chat_id: "42", text: `Xage bot — ${generic.text}` }]);
+  assert.strictEqual(hooks(server, "jackpots-only").length, 0);
+});
+
+test("webhooks: jackpots are rate limited per account and events can be switched off", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 75, prizes: [{ type: "usdt", amount: 1 }] });
+  const cfg = readConfig(dir);
+  cfg.webhooks = [{ url: `${server.url}/hooks/all` }];
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg));
+
+  const res = await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--repeat"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.strictEqual(count(res.output, "JACKPOT USDT!"), 3);
+  const sent = hooks(server, "all");
+  assert.deepStrictEqual(sent.map((n) => [n.event, n.account, n.message]), [["jackpot", "acc1", "Won 1 USDT from a tradex Bronze Box."]]);
+  assert.deepStrictEqual(sent[0].details.prize, { type: "usdt", amount: 1 });
+
+  cfg.settings.notify = { jackpot: false };
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg));
+  await runBot(["lootbox", "--yes", "--type", "tradex", "--box", "1", "--once"], { server, dir });
+  assert.strictEqual(hooks(server, "all").length, 1);
+});
+
+test("webhooks: repeated creation failures and the loop stopping", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { notify: { failureThreshold: 2, minIntervalMs: 0 } } });
+  const cfg = readConfig(dir);
+  cfg.webhooks = [{ url: `${server.url}/hooks/all` }];
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg));
+  const broken = { status: 500, body: { success: false, message: "Internal error" } };
+  server.script("POST /api/simulex/tokens", broken, broken, broken);
+
+  const res = await runBot(["tradex", "--yes"], { server, dir, stopWhen: (out) => count(out, "token created") >= 1 });
+  assert.strictEqual(res.code, 0, res.output);
+  const sent = hooks(server, "all");
+  assert.deepStrictEqual(sent.map((n) => n.message), [
+    "2 token creations in a row have failed.",
+    "3 token creations in a row have failed.",
+    "TradeX loop stopped (Ctrl+C).",
+  ]);
+  assert.strictEqual(sent[2].event, "loopStopped");
+  assert.strictEqual(sent[2].account, null);
+});
+
+test("lootbox: USDT jackpot is reported", async (t) => {
+  const { server, dir } = await setup(t, { startBalance: 60, prizes: [{ type: "usdt", amount: 1 }] });
+  const res = await runBot(["lootbox", "--yes", "--type", "situationx", "--box", "2", "--once"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /JACKPOT USDT!/);
+  assert.strictEqual(server.user(COOKIE).balances.situationx, 1);
+});
+
+test("accounts add stores a new account", async (t) => {
+  const { server, dir } = await setup(t);
+  const res = await runBot(["accounts", "add", "--label", "acc2", "--cookie", "GAESA=x", "--yes"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.deepStrictEqual(readConfig(dir).accounts.map((a) => a.label), ["acc1", "acc2"]);
+});
+
+test("accounts import creates accounts from a directory of cookie exports", async (t) => {
+  const { server, dir } = await setup(t);
+  const exports = path.join(dir, "cookies");
+  fs.mkdirSync(exports);
+  fs.writeFileSync(path.join(exports, "acc1.txt"), "#HttpOnly_.xage.app\tTRUE\t/\tTRUE\t0\tGAESA\tnew1\n.xage.app\tTRUE\t/\tTRUE\t0\tconnect.sid\ts1\n");
+  fs.writeFileSync(path.join(exports, "alt.json"), JSON.stringify([{ name: "GAESA", value: "g2", domain: ".xage.app" }, { name: "x", value: "y", domain: "other.com" }]));
+  fs.writeFileSync(path.join(exports, "broken.json"), "[{");
+  const res = await runBot(["accounts", "import", exports], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /alt\.json: missing connect\.sid/);
+  assert.match(res.output, /broken\.json: skipped, cannot parse/);
+  assert.match(res.output, /1 added, 1 updated/);
+  assert.deepStrictEqual(readConfig(dir).accounts.map((a) => [a.label, a.cookie]), [
+    ["acc1", "GAESA=new1; connect.sid=s1"],
+    ["alt", "GAESA=g2"],
+  ]);
+});
+
+test("accounts encrypt keeps cookies encrypted on disk and usable with the passphrase", async (t) => {
+  const { server, dir } = await setup(t);
+  const env = { XAGE_PASSPHRASE: "correct horse" };
+  const enc = await runBot(["accounts", "encrypt"], { server, dir, env });
+  assert.strictEqual(enc.code, 0, enc.output);
+  const sealed = readConfig(dir);
+  assert.strictEqual(sealed.encryption.kdf, "scrypt");
+  assert.match(sealed.accounts[0].cookie, /^enc:v1:/);
+  assert.ok(!fs.readFileSync(path.join(dir, "config.json"), "utf8").includes("GAESA"));
+
+  const tasks = await runBot(["tasks", "--yes"], { server, dir, env });
+  assert.strictEqual(tasks.code, 0, tasks.output);
+  assert.strictEqual(server.user(COOKIE).points, 1110);
+  assert.strictEqual(readConfig(dir).accounts[0].cookie, sealed.accounts[0].cookie);
+
+  const wrong = await runBot(["tasks", "--yes"], { server, dir, env: { XAGE_PASSPHRASE: "nope" } });
+  assert.strictEqual(wrong.code, 1);
+  assert.match(wrong.output, /Wrong passphrase/);
+  const missing = await runBot(["tasks", "--yes"], { server, dir });
+  assert.strictEqual(missing.code, 1);
+  assert.match(missing.output, /Input required.*passphrase/);
+
+  // A plain cookie pasted into config.json is picked up and sealed
+  const cfg = readConfig(dir);
+  cfg.accounts.push({ label: "acc2", cookie: "GAESA=g2" });
+  fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(cfg));
+  await runBot(["accounts", "list"], { server, dir, env });
+  assert.match(readConfig(dir).accounts[1].cookie, /^enc:v1:/);
+
+  const dec = await runBot(["accounts", "decrypt"], { server, dir, env });
+  assert.strictEqual(dec.code, 0, dec.output);
+  const plain = readConfig(dir);
+  assert.strictEqual(plain.encryption, undefined);
+  assert.deepStrictEqual(plain.accounts.map((a) => a.cookie), [COOKIE, "GAESA=g2"]);
+});
+
+test("accounts verify prints a health table and records lastVerified", async (t) => {
+  const dead = "GAESA=dead";
+  const { server, dir } = await setup(t, { rejectedCookies: [dead] }, {
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: dead }],
+  });
+  const res = await runBot(["accounts", "verify"], { server, dir });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /#\s+label\s+xHandle\s+accountAge\s+points\s+cookie valid/);
+  assert.match(res.output, /1\s+acc1\s+mock_user_1\s+101\s+1000\s+yes/);
+  assert.match(res.output, /2\s+acc2\s+-\s+-\s+-\s+no \(cookie invalid\/expired\)/);
+  const [a1, a2] = readConfig(dir).accounts;
+  assert.strictEqual(a1.lastVerified.ok, true);
+  assert.strictEqual(a1.lastVerified.points, 1000);
+  assert.strictEqual(a2.lastVerified.ok, false);
+
+  const list = await runBot(["accounts", "list"], { server, dir });
+  assert.match(list.output, /1\s+acc1\s+active\s+mock_user_1\s+\S+ ok/);
+});
+
+test("config.json is only rewritten when something changed, and never gets the defaults", async (t) => {
+  const { server, dir } = await setup(t);
+  const file = path.join(dir, "config.json");
+  const written = `{
+  "settings": { "tasks": { "delayMinMs": 0, "delayMaxMs": 0 } },
+  "accounts": [{ "label": "acc1", "cookie": "${COOKIE}" }]
+}`;
+  fs.writeFileSync(file, written);
+  for (const args of [["accounts", "list"], ["report", "history"], ["tasks", "--yes"]]) {
+    const res = await runBot(args, { server, dir });
+    assert.strictEqual(res.code, 0, res.output);
+    assert.strictEqual(fs.readFileSync(file, "utf8"), written, args.join(" "));
+  }
+
+  // The old single-cookie format is migrated, still without settings
+  fs.writeFileSync(file, JSON.stringify({ cookie: COOKIE }));
+  await runBot(["accounts", "list"], { server, dir });
+  assert.deepStrictEqual(readConfig(dir), { accounts: [{ label: "acc1", cookie: COOKIE }] });
+});
+
+test("accounts disable/enable/remove/relabel", async (t) => {
+  const cookie2 = "GAESA=g2; connect.sid=s2";
+  const { server, dir } = await setup(t, {}, {
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: cookie2 }, { label: "acc3", cookie: "GAESA=3" }],
+  });
+
+  await runBot(["accounts", "disable", "acc1"], { server, dir });
+  assert.strictEqual(readConfig(dir).accounts[0].disabled, true);
+  const tasks = await runBot(["tasks", "--yes"], { server, dir });
+  assert.match(tasks.output, /Skipping "acc1": disabled/);
+  assert.strictEqual(server.state.users.has(COOKIE), false);
+  await runBot(["accounts", "enable", "acc1"], { server, dir });
+  assert.strictEqual(readConfig(dir).accounts[0].disabled, undefined);
+
+  const relabel = await runBot(["accounts", "relabel", "acc2", "main"], { server, dir });
+  assert.match(relabel.output, /Renamed "acc2" to "main" \(3 journal entries updated\)/);
+  assert.ok(readJournal(dir).filter((e) => e.type === "task.complete").every((e) => e.account !== "acc2"));
+  assert.deepStrictEqual(readConfig(dir).accounts.map((a) => a.label), ["acc1", "main", "acc3"]);
+
+  await runBot(["accounts", "remove", "acc3", "--yes"], { server, dir });
+  assert.deepStrictEqual(readConfig(dir).accounts.map((a) => a.label), ["acc1", "main"]);
+  const noPrompt = await runBot(["accounts", "relabel", "acc1", "main"], { server, dir });
+  assert.match(noPrompt.output, /Account "main" already exists/);
+});
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const probe = require("net").createServer().listen(0, "127.0.0.1", () => {
+      const p = probe.address().port;
+      probe.close(() => resolve(p));
+    });
+  });
+
+test("status API: reports each account and pauses, resumes, skips and stops the loop", async (t) => {
+  const cookie2 = "GAESA=g2; connect.sid=s2";
+  const { server, dir } = await setup(t, { startBalance: 40 }, {
+    settings: {
+      tradex: { creationsPerGroup: 1, afterGroupMinMs: 60000, afterGroupMaxMs: 60000 },
+      api: { token: "s3cret" },
+    },
+    accounts: [{ label: "acc1", cookie: COOKIE }, { label: "acc2", cookie: cookie2 }],
+  });
+  // One creation fails, so one account has a last error
+  server.script("POST /api/simulex/tokens", { status: 400, body: { success: false, message: "Ticker taken" } });
+  const port = await freePort();
+  const bot = runBot(["tradex", "--yes", "--status-port", String(port)], { server, dir });
+  const api = async (method, p, token = "s3cret") => {
+    const res = await fetch(`http://127.0.0.1:${port}${p}`, { method, headers: { authorization: `Bearer ${token}` } });
+    return { status: res.status, body: await res.json() };
+  };
+  const waitFor = async (check) => {
+    for (let i = 0; i < 200; i++) {
+      const status = await api("GET", "/status").catch(() => null);
+      if (status?.status === 200 && check(status.body)) return status.body;
+      await new Promise((r) => setTimeout(r, 25));
+    }
+    throw new Error("status API never reached the expected state");
+  };
+  const tokens = () => server.user(COOKIE).tokens.length + server.user(cookie2).tokens.length;
+
+  let status = await waitFor((s) => s.accounts.every((a) => a.status === "waiting" && a.balances.tradex));
+  assert.strictEqual((await api("GET", "/status", "wrong")).status, 401);
+  assert.strictEqual(status.mode, "tradex");
+  assert.strictEqual(status.paused, false);
+  const failed = status.accounts.find((a) => a.lastError);
+  const other = status.accounts.find((a) => a !== failed);
+  assert.match(failed.lastError.msg, /Ticker taken/);
+  assert.strictEqual(failed.lastAction.ok, false);
+  assert.strictEqual(other.lastAction.type, "tradex.create");
+  assert.strictEqual(other.lastError, null);
+  assert.strictEqual(other.balances.tradex.value, 40);
+  assert.ok(Date.parse(other.nextAt) > Date.now() + 30000);
+  assert.strictEqual(tokens(), 1);
+
+  // Pausing one account: skip now goes to the other one
+  assert.deepStrictEqual((await api("POST", `/accounts/${other.label}/pause`)).body, { label: other.label, paused: true });
+  assert.strictEqual((await api("POST", "/accounts/nobody/pause")).status, 404);
+  assert.strictEqual((await api("GET", "/nothing")).status, 404);
+  for (const p of ["/constructor", "/toString", "/__proto__", "/hasOwnProperty"]) {
+    assert.strictEqual((await api("POST", p)).status, 404, p);
+  }
+  assert.strictEqual((await api("POST", "/accounts/%E0%A4%A/pause")).status, 400);
+  await api("POST", "/skip");
+  status = await waitFor((s) => s.accounts.find((a) => a.label === failed.label).lastAction.ok === true);
+  assert.strictEqual(status.accounts.find((a) => a.label === other.label).status, "paused");
+  assert.strictEqual(tokens(), 2);
+
+  // A paused loop holds the skip until it is resumed
+  await api("POST", "/pause");
+  await api("POST", `/accounts/${other.label}/resume`);
+  await api("POST", "/skip");
+  await new Promise((r) => setTimeout(r, 300));
+  assert.strictEqual(tokens(), 2);
+  assert.strictEqual((await api("GET", "/status")).body.paused, true);
+  await api("POST", "/resume");
+  await waitFor(() => tokens() === 3);
+
+  assert.deepStrictEqual((await api("POST", "/stop")).body, { stopping: true });
+  const res = await bot;
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, /Status API on http:\/\/127\.0\.0\.1:\d+\/status/);
+  assert.match(res.output, /Stop requested over the status API/);
+  assert.match(res.output, /TradeX stopped gracefully/);
+});
+
+test("status API: --status-port also works for a mode picked from the menu", async (t) => {
+  const { server, dir } = await setup(t);
+  const port = await freePort();
+  const res = await runBot(["--status-port", String(port)], {
+    server,
+    dir,
+    answers: [
+      { when: (out) => out.includes("add another account"), text: "n" },
+      { when: (out) => out.includes("Enter choice"), text: "1" },
+    ],
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  assert.match(res.output, new RegExp(`Status API on http://127\\.0\\.0\\.1:${port}/status`));
+  assert.strictEqual(posts(server, "/api/tasks/").length, 2);
+});
+
+test("status API: resume does not cut a running task delay short", async (t) => {
+  const { server, dir } = await setup(t, {}, { settings: { tasks: { delayMinMs: 2000, delayMaxMs: 2000 } } });
+  const port = await freePort();
+  let output = "";
+  const bot = runBot(["tasks", "--yes", "--watch", "--status-port", String(port)], {
+    server,
+    dir,
+    // Only used to follow the output; the run is ended with POST /stop
+    stopWhen: (out) => {
+      output = out;
+      return false;
+    },
+  });
+  const api = (method, p) => fetch(`http://127.0.0.1:${port}${p}`, { method }).then((r) => r.json());
+  while (!output.includes("task delay: 2s")) await new Promise((r) => setTimeout(r, 25));
+  const resumedAt = Date.now();
+  await api("POST", "/resume");
+  await api("POST", "/accounts/acc1/resume");
+  while (posts(server, "/api/tasks/").length === 0) await new Promise((r) => setTimeout(r, 25));
+  const firstPost = posts(server, "/api/tasks/")[0].at;
+  await api("POST", "/stop");
+  const res = await bot;
+  assert.strictEqual(res.code, 0, res.output);
+  assert.ok(firstPost - resumedAt >= 1500, `task posted ${firstPost - resumedAt}ms after the resume`);
+});
+
+test("client events: an expired cookie is announced by webhook and its refresh shows in /status", async (t) => {
+  const { server, dir } = await setup(t);
+  writeConfig(dir, {
+    settings: { tasks: { watchIntervalMs: 300 } },
+    accounts: [{ label: "acc1", cookie: COOKIE }],
+    webhooks: [{ url: `${server.url}/hooks/all` }],
+  });
+  server.script("GET /api/tasks", { status: 401, body: { success: false, message: "Unauthorized: session expired" } });
+  const port = await freePort();
+  const bot = runBot(["tasks", "--watch", "--status-port", String(port)], {
+    server,
+    dir,
+    answers: [{ when: (out) => out.includes('Enter full cookie string for "acc1"'), text: "GAESA=fresh" }],
+  });
+  const api = (method, p) => fetch(`http://127.0.0.1:${port}${p}`, { method }).then((r) => r.json());
+  let refreshedAt = null;
+  for (let i = 0; i < 200 && !refreshedAt; i++) {
+    refreshedAt = (await api("GET", "/status").catch(() => null))?.accounts[0].cookieRefreshedAt;
+    await new Promise((r) => setTimeout(r, 25));
+  }
+  await api("POST", "/stop");
+  const res = await bot;
+  assert.strictEqual(res.code, 0, res.output);
+  assert.ok(!Number.isNaN(Date.parse(refreshedAt)), `${refreshedAt}\n${res.output}`);
+  const [expired] = hooks(server, "all");
+  assert.strictEqual(expired.event, "cookieExpired");
+  assert.match(expired.text, /^Cookie expired \(acc1\): Cookie expired; the bot is waiting for a new one on the terminal\./);
+  assert.strictEqual(readConfig(dir).accounts[0].cookie, "GAESA=fresh");
+});
+
+test("tasks: parallel accounts with expired cookies are prompted one at a time", async (t) => {
+  const { server, dir } = await setup(t, { rejectedCookies: ["GAESA=old1", "GAESA=old2"] }, {
+    settings: { concurrency: { accounts: 2 } },
+    accounts: [{ label: "acc1", cookie: "GAESA=old1" }, { label: "acc2", cookie: "GAESA=old2" }],
+  });
+  const prompt = /Enter full cookie string for "(acc\d)"/g;
+  const asked = (out) => [...out.matchAll(prompt)].map((m) => m[1]);
+  const res = await runBot(["tasks"], {
+    server,
+    dir,
+    answers: [
+      { when: (out) => asked(out).length === 1, text: "GAESA=new-a" },
+      { when: (out) => asked(out).length === 2, text: "GAESA=new-b" },
+    ],
+  });
+  assert.strictEqual(res.code, 0, res.output);
+  const [first, second] = asked(res.output);
+  assert.deepStrictEqual([first, second].sort(), ["acc1", "acc2"]);
+  const cookies = Object.fromEntries(readConfig(dir).accounts.map((a) => [a.label, a.cookie]));
+  assert.strictEqual(cookies[first], "GAESA=new-a");
+  assert.strictEqual(cookies[second], "GAESA=new-b");
+  assert.strictEqual(posts(server, "/api/tasks/").length, 4);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startMockServer } = require("./mock-server");
+const { looksLikeAuthProblem, parseRetryAfterMs, requestJson } = require("../index");
+
+test("parseRetryAfterMs handles seconds, dates and junk", () => {
+  assert.strictEqual(parseRetryAfterMs("3"), 3000);
+  assert.strictEqual(parseRetryAfterMs("0"), 1000); // never below 1s
+  assert.strictEqual(parseRetryAfterMs(null), null);
+  assert.strictEqual(parseRetryAfterMs("soon"), null);
+  const ms = parseRetryAfterMs(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000, `got ${ms}`);
+});
+
+test("looksLikeAuthProblem", () => {
+  assert.strictEqual(looksLikeAuthProblem(401, null, ""), true);
+  assert.strictEqual(looksLikeAuthProblem(403, null, ""), true);
+  assert.strictEqual(looksLikeAuthProblem(400, { message: "Session expired" }, ""), true);
+  assert.strictEqual(looksLikeAuthProblem(500, null, "<h1>Please login</h1>"), true);
+  assert.strictEqual(looksLikeAuthProblem(400, { message: "Insufficient balance" }, ""), false);
+});
+
+test("requestJson against the mock server", async (t) => {
+  const server = await startMockServer();
+  t.after(() => server.close());
+  const me = `${server.url}/api/auth/me`;
+  const headers = { cookie: "GAESA=a; connect.sid=b" };
+
+  await t.test("returns parsed JSON", async () => {
+    const res = await requestJson(me, { headers });
+    assert.strictEqual(res.success, true);
+    assert.strictEqual(res.user.xHandle, "mock_user_1");
+  });
+
+  await t.test("401 JSON → AUTH", async () => {
+    await assert.rejects(requestJson(me, { headers: {} }), (e) => e.code === "AUTH" && e.status === 401);
+  });
+
+  await t.test("429 with Retry-After → RATE_LIMIT with waitMs", async () => {
+    server.script("GET /api/auth/me", { status: 429, headers: { "retry-after": "2" }, body: { message: "Too many requests" } });
+    await assert.rejects(requestJson(me, { headers }), (e) => e.code === "RATE_LIMIT" && e.waitMs === 2000 && e.retryAfterRaw === "2");
+  });
+
+  await t.test("429 without Retry-After leaves waitMs to the caller", async () => {
+    server.script("GET /api/auth/me", { status: 429, raw: "slow down" });
+    await assert.rejects(requestJson(me, { headers }), (e) => e.code === "RATE_LIMIT" && e.waitMs === null);
+  });
+
+  await t.test("HTML error page → not JSON error with snippet", async () => {
+    server.script("GET /api/auth/me", { status: 502, raw: "<html><body>Bad Gateway</body></html>" });
+    await assert.rejects(requestJson(me, { headers }), /Response is not JSON\. HTTP 502\. Snippet: <html>/);
+  });
+
+  await t.test("HTML login page → AUTH", async () => {
+    server.script("GET /api/auth/me", { status: 401, raw: "<html>Please login</html>" });
+    await assert.rejects(requestJson(me, { headers }), (e) => e.code === "AUTH");
+  });
+
+  await t.test("malformed JSON with 200 → not JSON error", async () => {
+    server.script("GET /api/auth/me", { status: 200, raw: "{\"success\": tru" });
+    await assert.rejects(requestJson(me, { headers }), /Response is not JSON\. HTTP 200/);
+  });
+
+  await t.test("JSON error body → message in error", async () => {
+    server.script("GET /api/auth/me", { status: 400, body: { success: false, message: "Bad thing" } });
+    await assert.rejects(requestJson(me, { headers }), (e) => e.message === "HTTP 400: Bad thing" && !e.code);
+  });
+});